@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const { sendError, notFound, errorHandler } = require('./middleware/errors');
+const { requestLogger } = require('./middleware/requestLogger');
+const { requestMetrics, serveMetrics } = require('./middleware/metrics');
+const { identifyUser } = require('./middleware/auth');
+const { createRateLimiter } = require('./middleware/rateLimit');
+const { checkReadiness } = require('./services/health');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const communitiesRoutes = require('./routes/communities');
+const groupsRoutes = require('./routes/groups');
+const postsRoutes = require('./routes/posts');
+const usersRoutes = require('./routes/users');
+const { logger } = require('./services/logger');
+const { buildOpenApiDocument, renderDocsPage, docsPagePolicy } = require('./services/openapi');
+
+const API_ROUTERS = {
+  '/api/auth': authRoutes,
+  '/api/admin': adminRoutes,
+  '/api/communities': communitiesRoutes,
+  '/api/groups': groupsRoutes,
+  '/api/posts': postsRoutes,
+  '/api/users': usersRoutes
+};
+
+// Build the Express app without listening, so it can be started by index.js
+// or driven directly in tests. Config must be validated and Firebase
+// initialised before this module is loaded.
+const createApp = () => {
+  const app = express();
+
+  // Railway sits behind a proxy; use the client address for req.ip
+  app.set('trust proxy', 1);
+
+  // Middleware. The request logger comes first so every response, including
+  // rejections below, carries an X-Request-Id and is logged.
+  app.use(requestLogger);
+  app.use(requestMetrics);
+  app.use(helmet());
+  app.use(cors({ origin: true }));
+  app.use(express.json());
+
+  // ==================== PROBES & METRICS ====================
+
+  // Registered before the rate limiter so platform probes and Prometheus
+  // scrapes never use up a client's budget or get refused.
+
+  // Liveness: the process is up and serving. Restart it if this fails.
+  app.get('/api/health/live', (req, res) => {
+    res.json({ status: 'live', uptime: process.uptime() });
+  });
+
+  // Readiness: dependencies are reachable. Stop routing traffic here if this fails.
+  app.get('/api/health/ready', async (req, res) => {
+    try {
+      const { ready, draining, checks } = await checkReadiness();
+
+      if (draining) {
+        return sendError(res, 503, 'Shutting down', { code: 'NOT_READY' });
+      }
+
+      if (!ready) {
+        return sendError(res, 503, 'Not ready', { code: 'NOT_READY', checks });
+      }
+
+      res.json({ status: 'ready', checks });
+    } catch (error) {
+      logger.error('Error checking readiness', error);
+      sendError(res, 503, 'Not ready', { code: 'NOT_READY' });
+    }
+  });
+
+  app.get('/metrics', serveMetrics);
+
+  // Rate limiting by tier (read, write, search, auth), counted per user when
+  // signed in and per IP otherwise
+  app.use(identifyUser);
+  app.use(createRateLimiter());
+
+  // ==================== HEALTH & BASIC ENDPOINTS ====================
+
+  // Health check endpoint
+  app.get('/api/health', (req, res) => {
+    res.json({ 
+      status: 'OK', 
+      message: 'CEG Connect Backend is running!',
+      timestamp: new Date().toISOString() 
+    });
+  });
+
+  // Test endpoint
+  app.get('/api/test', (req, res) => {
+    res.json({ 
+      message: 'Backend is working perfectly!',
+      timestamp: new Date().toISOString() 
+    });
+  });
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({ 
+      message: 'CEG Connect Backend API',
+      status: 'running',
+      timestamp: new Date().toISOString() 
+    });
+  });
+
+  // ==================== API ROUTES ====================
+
+  Object.entries(API_ROUTERS).forEach(([path, router]) => {
+    app.use(path, router);
+  });
+
+  // ==================== DOCS ====================
+
+  // Generated from the route schemas, so it always matches the validation
+  const openApiDocument = buildOpenApiDocument(API_ROUTERS);
+
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  app.get('/api/docs', (req, res) => {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.set('Content-Security-Policy', docsPagePolicy(nonce));
+    res.type('html').send(renderDocsPage('/api/openapi.json', nonce));
+  });
+
+  // ==================== ERRORS ====================
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
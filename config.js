@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+
+// Central configuration, read once from the environment and validated at boot.
+// Anything missing fails fast with a list of what to set, instead of
+// surfacing later as a 500 from the first request that needs it.
+
+const MAIL_TRANSPORTS = ['gmail', 'smtp', 'outbox'];
+const OTP_STORES = ['firestore', 'memory'];
+const DATA_STORES = ['firestore', 'memory'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const RATE_LIMIT_STORES = ['memory', 'firestore'];
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const loadConfig = (env = process.env) => {
+  const problems = [];
+  const nodeEnv = env.NODE_ENV || 'development';
+  const isProduction = nodeEnv === 'production';
+  const demoMode = env.DEMO_MODE === 'true';
+
+  // Demo mode echoes OTPs in API responses, so it must never reach production
+  if (demoMode && isProduction) {
+    problems.push('DEMO_MODE cannot be enabled when NODE_ENV=production');
+  }
+
+  // Where app data and accounts live. "memory" needs no Firebase project and
+  // loses everything on restart, for local runs and tests.
+  const dataStore = env.DATA_STORE || 'firestore';
+
+  if (!DATA_STORES.includes(dataStore)) {
+    problems.push(`DATA_STORE must be one of ${DATA_STORES.join(', ')} (got "${dataStore}")`);
+  } else if (dataStore === 'memory' && isProduction) {
+    problems.push('DATA_STORE=memory loses all data on restart and cannot be used in production');
+  }
+
+  // Firebase: either an explicit service account or application default
+  // credentials. Not needed when nothing is stored in Firestore.
+  const firebaseVars = ['FIREBASE_PROJECT_ID', 'FIREBASE_CLIENT_EMAIL', 'FIREBASE_PRIVATE_KEY'];
+  const setFirebaseVars = firebaseVars.filter(name => env[name]);
+  let firebase = null;
+
+  if (dataStore === 'firestore' && setFirebaseVars.length > 0) {
+    const missing = firebaseVars.filter(name => !env[name]);
+    if (missing.length > 0) {
+      problems.push(`Missing Firebase service account variables: ${missing.join(', ')}`);
+    }
+    firebase = {
+      projectId: env.FIREBASE_PROJECT_ID,
+      clientEmail: env.FIREBASE_CLIENT_EMAIL,
+      privateKey: env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+    };
+  } else if (dataStore === 'firestore' && !env.GOOGLE_APPLICATION_CREDENTIALS) {
+    problems.push(`Missing Firebase credentials: set ${firebaseVars.join(', ')} or GOOGLE_APPLICATION_CREDENTIALS`);
+  }
+
+  // Mail: real delivery in production, local outbox otherwise
+  const mailTransport = env.MAIL_TRANSPORT || (isProduction ? 'gmail' : 'outbox');
+
+  if (!MAIL_TRANSPORTS.includes(mailTransport)) {
+    problems.push(`MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(', ')} (got "${mailTransport}")`);
+  } else if (mailTransport === 'gmail') {
+    ['GMAIL_USER', 'GMAIL_APP_PASSWORD']
+      .filter(name => !env[name])
+      .forEach(name => problems.push(`${name} is required when MAIL_TRANSPORT=gmail`));
+  } else if (mailTransport === 'smtp' && !env.SMTP_HOST) {
+    problems.push('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+  } else if (mailTransport === 'outbox' && isProduction) {
+    problems.push('MAIL_TRANSPORT=outbox does not deliver mail and cannot be used in production');
+  }
+
+  // OTPs must survive restarts and be shared between instances in production
+  const otpStore = env.OTP_STORE || (isProduction ? 'firestore' : 'memory');
+
+  if (!OTP_STORES.includes(otpStore)) {
+    problems.push(`OTP_STORE must be one of ${OTP_STORES.join(', ')} (got "${otpStore}")`);
+  } else if (otpStore === 'memory' && isProduction) {
+    problems.push('OTP_STORE=memory loses codes on restart and cannot be used in production');
+  } else if (otpStore === 'firestore' && dataStore === 'memory') {
+    problems.push('OTP_STORE=firestore needs DATA_STORE=firestore');
+  }
+
+  // Comma-separated institutional domains allowed to sign up. A domain also
+  // allows its subdomains (annauniv.edu covers student.annauniv.edu).
+  const allowedEmailDomains = (env.ALLOWED_EMAIL_DOMAINS || 'annauniv.edu')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+  const badDomains = allowedEmailDomains.filter(domain => !DOMAIN_PATTERN.test(domain));
+
+  if (allowedEmailDomains.length === 0) {
+    problems.push('ALLOWED_EMAIL_DOMAINS must list at least one domain');
+  } else if (badDomains.length > 0) {
+    problems.push(`ALLOWED_EMAIL_DOMAINS must be domain names like annauniv.edu (got ${badDomains.join(', ')})`);
+  }
+
+  // Rate limit counters: per instance in memory, or shared through Firestore
+  const rateLimitStore = env.RATE_LIMIT_STORE || 'memory';
+
+  if (!RATE_LIMIT_STORES.includes(rateLimitStore)) {
+    problems.push(`RATE_LIMIT_STORE must be one of ${RATE_LIMIT_STORES.join(', ')} (got "${rateLimitStore}")`);
+  } else if (rateLimitStore === 'firestore' && dataStore === 'memory') {
+    problems.push('RATE_LIMIT_STORE=firestore needs DATA_STORE=firestore');
+  }
+
+  // Magic sign-in links are signed, so every instance needs the same secret
+  let authLinkSecret = env.AUTH_LINK_SECRET;
+  if (!authLinkSecret) {
+    if (isProduction) {
+      problems.push('AUTH_LINK_SECRET is required in production');
+    }
+    authLinkSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const logLevel = env.LOG_LEVEL || 'info';
+
+  if (!LOG_LEVELS.includes(logLevel)) {
+    problems.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')} (got "${logLevel}")`);
+  }
+
+  // Optional Bearer token for scraping /metrics
+  const metricsToken = env.METRICS_TOKEN || null;
+
+  // How long a shutdown may spend draining requests and jobs before exiting
+  const shutdownTimeoutMs = parseInt(env.SHUTDOWN_TIMEOUT_MS || '10000');
+
+  if (!(shutdownTimeoutMs > 0)) {
+    problems.push(`SHUTDOWN_TIMEOUT_MS must be a positive number of milliseconds (got "${env.SHUTDOWN_TIMEOUT_MS}")`);
+  }
+
+  const port = parseInt(env.PORT || '5000');
+  const publicUrl = (env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/$/, '');
+
+  if (isProduction && !env.PUBLIC_URL && !env.MAGIC_LINK_URL) {
+    problems.push('PUBLIC_URL (or MAGIC_LINK_URL) is required in production for sign-in links');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return Object.freeze({
+    nodeEnv,
+    isProduction,
+    demoMode,
+    logLevel,
+    metricsToken,
+    shutdownTimeoutMs,
+    port,
+    publicUrl,
+    dataStore,
+    firebase,
+    otpStore,
+    allowedEmailDomains,
+    rateLimitStore,
+    authLinkSecret,
+    // The emailed link; point it at the app if it should open there instead
+    magicLinkUrl: env.MAGIC_LINK_URL || `${publicUrl}/api/auth/verify-link`,
+    mail: {
+      transport: mailTransport,
+      from: env.MAIL_FROM || env.GMAIL_USER,
+      outboxDir: env.MAIL_OUTBOX_DIR
+    }
+  });
+};
+
+let cachedConfig = null;
+
+// The validated config for this process, loaded on first use
+const getConfig = () => {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+};
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  getConfig
+};
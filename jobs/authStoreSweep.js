@@ -0,0 +1,24 @@
+const { getAuthStores } = require('../services/authStores');
+const { logger } = require('../services/logger');
+
+// Delete sign-in codes, links, second-factor challenges and throttle records
+// that expired without being used up
+module.exports = {
+  name: 'auth-store-sweep',
+  intervalMs: 5 * 60 * 1000,
+
+  run: async ({ signal }) => {
+    const purged = {};
+
+    for (const [name, store] of Object.entries(getAuthStores())) {
+      if (signal.aborted) {
+        break;
+      }
+      purged[name] = await store.purgeExpired({ signal });
+    }
+
+    if (Object.values(purged).some(count => count > 0)) {
+      logger.info('Purged expired sign-in records', { purged });
+    }
+  }
+};
@@ -0,0 +1,16 @@
+const { getRepositories } = require('../repositories');
+const { logger } = require('../services/logger');
+
+// Delete kept responses to create requests once their idempotency window ends
+module.exports = {
+  name: 'idempotency-sweep',
+  intervalMs: 60 * 60 * 1000,
+
+  run: async ({ signal }) => {
+    const purged = await getRepositories().idempotencyKeys.purgeExpired({ signal });
+
+    if (purged > 0) {
+      logger.info('Purged expired idempotency keys', { purged });
+    }
+  }
+};
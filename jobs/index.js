@@ -0,0 +1,22 @@
+const { scheduleJob } = require('../services/jobs');
+const authStoreSweep = require('./authStoreSweep');
+const rateLimitSweep = require('./rateLimitSweep');
+const idempotencySweep = require('./idempotencySweep');
+
+// Recurring jobs, started by index.js once the server is listening. Each
+// module exports { name, intervalMs, run } and optionally enabled(), checked
+// at startup. One-off jobs are scheduled with scheduleJob by the feature that
+// needs them.
+const RECURRING_JOBS = [
+  authStoreSweep,
+  rateLimitSweep,
+  idempotencySweep
+];
+
+const startJobs = () => {
+  RECURRING_JOBS
+    .filter(job => !job.enabled || job.enabled())
+    .forEach(({ name, intervalMs, run }) => scheduleJob(name, { intervalMs }, run));
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,19 @@
+const { purgeExpiredRateLimits } = require('../services/rateLimitStore');
+const { getConfig } = require('../config');
+const { logger } = require('../services/logger');
+
+// Delete ended rate limit windows from Firestore. The memory store cleans up
+// after itself, so this only runs with RATE_LIMIT_STORE=firestore.
+module.exports = {
+  name: 'rate-limit-sweep',
+  intervalMs: 15 * 60 * 1000,
+  enabled: () => getConfig().rateLimitStore === 'firestore',
+
+  run: async ({ signal }) => {
+    const purged = await purgeExpiredRateLimits({ signal });
+
+    if (purged > 0) {
+      logger.info('Purged expired rate limit windows', { purged });
+    }
+  }
+};
@@ -0,0 +1,139 @@
+const { isSessionActive, getSession } = require('../services/sessions');
+const { hasRole, hasPermission } = require('../services/permissions');
+const { getIdentity } = require('../services/identity');
+const { isTwoFactorEnabled } = require('../services/twoFactor');
+const { sendError } = require('./errors');
+const { logger } = require('../services/logger');
+
+// Verify the request's Bearer token once, however many middleware ask.
+// Rejects tokens issued before a revoke-all and tokens whose sign-in session
+// has been revoked. Resolves to { user } or { rejection: { message, code } },
+// with the underlying error when verification itself failed.
+const authenticate = (req) => {
+  if (!req.authentication) {
+    req.authentication = (async () => {
+      const token = req.headers.authorization?.split('Bearer ')[1];
+
+      if (!token) {
+        return { rejection: { message: 'No token provided', code: 'TOKEN_MISSING' } };
+      }
+
+      try {
+        const decodedToken = await getIdentity().verifyIdToken(token, true);
+
+        if (decodedToken.sessionId && !(await isSessionActive(decodedToken.uid, decodedToken.sessionId))) {
+          return { rejection: { message: 'Session has been revoked', code: 'SESSION_REVOKED' } };
+        }
+
+        return { user: decodedToken };
+      } catch (error) {
+        if (error.code === 'auth/id-token-revoked') {
+          return { rejection: { message: 'Session has been revoked', code: 'SESSION_REVOKED' } };
+        }
+        return { rejection: { message: 'Invalid token', code: 'TOKEN_INVALID' }, error };
+      }
+    })();
+  }
+  return req.authentication;
+};
+
+// Middleware to require a valid ID token and set req.user
+const verifyToken = async (req, res, next) => {
+  const { user, rejection, error } = await authenticate(req);
+
+  if (rejection) {
+    if (error) {
+      logger.error('Token verification error', error);
+    }
+    return sendError(res, 401, rejection.message, { code: rejection.code });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Set req.user when the request carries a valid token, without rejecting
+// anonymous requests, so app-wide middleware such as the rate limiter can
+// tell users apart. Routes still use verifyToken to require sign-in.
+const identifyUser = async (req, res, next) => {
+  if (req.headers.authorization) {
+    const { user } = await authenticate(req);
+    if (user) {
+      req.user = user;
+    }
+  }
+  next();
+};
+
+// The guards below record what they require on the middleware (roles,
+// permission, stepUpMaxAgeMs) so services/openapi.js can document it.
+
+// Only let through users holding one of the given platform roles.
+// Use after verifyToken.
+const requireRole = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!hasRole(req.user, ...roles)) {
+      return sendError(res, 403, 'Insufficient permissions', { code: 'INSUFFICIENT_PERMISSIONS' });
+    }
+    next();
+  };
+
+  middleware.roles = roles;
+  return middleware;
+};
+
+// Only let through users whose roles grant the given permission.
+// Use after verifyToken.
+const requirePermission = (permission) => {
+  const middleware = (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return sendError(res, 403, 'Insufficient permissions', { code: 'INSUFFICIENT_PERMISSIONS' });
+    }
+    next();
+  };
+
+  middleware.permission = permission;
+  return middleware;
+};
+
+// Require a two-factor check on this session within the last `maxAgeMs`.
+// Clients get STEP_UP_REQUIRED and should call /api/auth/2fa/step-up. Two-factor
+// is mandatory for these actions: users who haven't enabled it get
+// TWO_FACTOR_REQUIRED and must enrol first. Use after verifyToken.
+const requireStepUp = (maxAgeMs = 10 * 60 * 1000) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const { uid, sessionId } = req.user;
+      const session = sessionId ? await getSession(uid, sessionId) : null;
+      const stepUpAt = session?.stepUpAt?.getTime();
+
+      if (!stepUpAt || Date.now() - stepUpAt > maxAgeMs) {
+        if (!(await isTwoFactorEnabled(uid))) {
+          return sendError(res, 403, 'This action requires two-factor authentication. Enable it with '
+            + 'POST /api/auth/2fa/enroll and /api/auth/2fa/activate, then confirm with /api/auth/2fa/step-up.', {
+            code: 'TWO_FACTOR_REQUIRED'
+          });
+        }
+        return sendError(res, 403, 'Please confirm with your authenticator app to continue', {
+          code: 'STEP_UP_REQUIRED'
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Step-up check error', error);
+      sendError(res, 500, 'Failed to check two-factor status');
+    }
+  };
+
+  middleware.stepUpMaxAgeMs = maxAgeMs;
+  return middleware;
+};
+
+module.exports = {
+  verifyToken,
+  identifyUser,
+  requireRole,
+  requirePermission,
+  requireStepUp
+};
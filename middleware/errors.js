@@ -0,0 +1,62 @@
+const { logger } = require('../services/logger');
+
+// Every error response uses the same envelope:
+//   { error: { code, message, fields? } }
+// `code` is a stable machine-readable string; `fields` maps request paths
+// like "body.name" to what is wrong with them.
+
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Build the error envelope. Extra details (e.g. retryAfter) sit next to code and message.
+const errorBody = (status, message, { code, fields, ...details } = {}) => ({
+  error: {
+    code: code || DEFAULT_CODES[status] || 'ERROR',
+    message,
+    ...(fields && { fields }),
+    ...details
+  }
+});
+
+const sendError = (res, status, message, options) => {
+  return res.status(status).json(errorBody(status, message, options));
+};
+
+// Unknown routes get a JSON 404 instead of Express's HTML page
+const notFound = (req, res) => {
+  sendError(res, 404, `Route not found: ${req.method} ${req.path}`, { code: 'ROUTE_NOT_FOUND' });
+};
+
+// Last-resort handler for errors passed to next() or thrown by middleware,
+// e.g. a malformed JSON body
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
+  }
+
+  logger.error('Unhandled error', error);
+  sendError(res, 500, 'Something went wrong. Please try again.');
+};
+
+module.exports = {
+  errorBody,
+  sendError,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+const { sendError } = require('./errors');
+const { logger } = require('../services/logger');
+
+// Safe retries for create requests. A request with an Idempotency-Key header
+// claims that key for its user and route, and its response is kept for
+// IDEMPOTENCY_TTL_MS. Retrying with the same key and body returns the kept
+// response, marked Idempotent-Replayed: true, without creating anything.
+// The same key with a different body is refused, and so is a retry while the
+// first request is still running. Server errors (5xx) are not kept, so the
+// request can be retried with the same key.
+//
+// A running request holds its key for IDEMPOTENCY_LEASE_MS only. If the
+// process dies before the response is kept, a retry after that takes the key
+// over instead of being refused for the whole TTL.
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_LEASE_MS = 60 * 1000;
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+const hash = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+// Use after verifyToken and validate, so keys are per user and only valid
+// requests claim them
+const idempotent = () => {
+  const middleware = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (key === undefined) {
+      return next();
+    }
+    if (!KEY_PATTERN.test(key)) {
+      return sendError(res, 400, 'Idempotency-Key must be 1 to 255 visible ASCII characters', {
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+    }
+
+    const { idempotencyKeys } = getRepositories();
+    const recordKey = hash([req.user.uid, req.method, req.baseUrl + req.path, key]);
+    const fingerprint = hash(req.body ?? null);
+
+    try {
+      const now = Date.now();
+      const existing = await idempotencyKeys.claim(recordKey, {
+        fingerprint,
+        state: 'pending',
+        pendingUntil: new Date(now + IDEMPOTENCY_LEASE_MS),
+        expiresAt: new Date(now + IDEMPOTENCY_TTL_MS)
+      });
+
+      if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+          return sendError(res, 422, 'Idempotency-Key has already been used for a different request', {
+            code: 'IDEMPOTENCY_KEY_REUSED'
+          });
+        }
+        if (existing.state === 'pending') {
+          res.set('Retry-After', '1');
+          return sendError(res, 409, 'A request with this Idempotency-Key is still in progress', {
+            code: 'IDEMPOTENCY_KEY_IN_USE'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.status).type('json').send(existing.body);
+      }
+    } catch (error) {
+      logger.error('Error claiming idempotency key', error);
+      return sendError(res, 500, 'Failed to process request');
+    }
+
+    // Keep the response before sending it, so a retry that arrives once the
+    // client has it always finds it. Give the key up if the handler fails.
+    // A client that hangs up doesn't stop the handler, so its key stays
+    // pending until the handler responds or the lease runs out.
+    const settle = async (status, body) => {
+      try {
+        if (status >= 500) {
+          await idempotencyKeys.delete(recordKey);
+        } else {
+          await idempotencyKeys.update(recordKey, { state: 'completed', status, body: JSON.stringify(body) });
+        }
+      } catch (error) {
+        logger.error('Error saving idempotent response', error);
+      }
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settle(res.statusCode, body).then(() => json(body));
+      return res;
+    };
+
+    next();
+  };
+
+  middleware.idempotent = true;
+  return middleware;
+};
+
+module.exports = {
+  IDEMPOTENCY_TTL_MS,
+  IDEMPOTENCY_LEASE_MS,
+  idempotent
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+const { httpRequests, httpRequestDuration, renderMetrics } = require('../services/metrics');
+const { routeOf } = require('./requestLogger');
+const { sendError } = require('./errors');
+
+// Count every request and time it by route pattern. Requests that matched no
+// route share one label so unknown paths cannot blow up the series count.
+const requestMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = routeOf(req) || 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, seconds);
+  });
+
+  next();
+};
+
+const tokenMatches = (given, expected) => {
+  const a = Buffer.from(given || '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers must send it
+// as a Bearer token.
+const serveMetrics = (req, res) => {
+  const { metricsToken } = getConfig();
+
+  if (metricsToken && !tokenMatches(req.headers.authorization?.split('Bearer ')[1], metricsToken)) {
+    return sendError(res, 401, 'Metrics token required');
+  }
+
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+};
+
+module.exports = {
+  requestMetrics,
+  serveMetrics
+};
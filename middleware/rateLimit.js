@@ -0,0 +1,64 @@
+const rateLimit = require('express-rate-limit');
+const { createRateLimitStore } = require('../services/rateLimitStore');
+const { rateLimitRejections } = require('../services/metrics');
+const { getConfig } = require('../config');
+const { sendError } = require('./errors');
+
+// Request budgets by tier. Signed-in users are counted by uid, so one
+// account can't spread its requests over several networks; anonymous
+// requests by IP, with a larger budget since a hostel's Wi-Fi shares one
+// address. Sign-in sends are further throttled per email in routes/auth.js.
+const RATE_LIMIT_TIERS = {
+  read: { windowMs: 60 * 1000, userLimit: 120, ipLimit: 300 },
+  write: { windowMs: 60 * 1000, userLimit: 30, ipLimit: 60 },
+  search: { windowMs: 60 * 1000, userLimit: 20, ipLimit: 40 },
+  auth: { windowMs: 15 * 60 * 1000, userLimit: 30, ipLimit: 200 }
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Which budget a request draws from
+const tierOf = (req) => {
+  if (req.path.startsWith('/api/auth/')) {
+    return 'auth';
+  }
+  if (req.path === '/api/posts/search') {
+    return 'search';
+  }
+  return READ_METHODS.includes(req.method) ? 'read' : 'write';
+};
+
+const clientKey = (req) => (req.user ? `uid:${req.user.uid}` : `ip:${req.ip}`);
+
+// One limiter per tier, each with its own store (RATE_LIMIT_STORE). Use after
+// identifyUser so signed-in requests are keyed by uid. Responses carry
+// RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers, plus
+// Retry-After when refused.
+const createRateLimiter = ({ tiers = RATE_LIMIT_TIERS, store = getConfig().rateLimitStore } = {}) => {
+  const limiters = Object.fromEntries(Object.entries(tiers).map(([tier, { windowMs, userLimit, ipLimit }]) => [
+    tier,
+    rateLimit({
+      windowMs,
+      limit: (req) => (req.user ? userLimit : ipLimit),
+      keyGenerator: clientKey,
+      store: createRateLimitStore(store, { prefix: tier }),
+      standardHeaders: 'draft-6',
+      legacyHeaders: false,
+      handler: (req, res) => {
+        rateLimitRejections.inc({ limiter: tier });
+        const resetTime = req.rateLimit.resetTime || new Date(Date.now() + windowMs);
+        sendError(res, 429, 'Too many requests. Please try again later.', {
+          retryAfter: Math.max(1, Math.ceil((resetTime - Date.now()) / 1000))
+        });
+      }
+    })
+  ]));
+
+  return (req, res, next) => limiters[tierOf(req)](req, res, next);
+};
+
+module.exports = {
+  RATE_LIMIT_TIERS,
+  tierOf,
+  createRateLimiter
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { logger } = require('../services/logger');
+const { runWithContext } = require('../services/requestContext');
+
+// Give every request an id (a sane X-Request-Id from the caller, or a new
+// one), echo it back, and log one line per request once the response is sent.
+// Query strings are left out because sign-in links carry tokens in them.
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// The matched route pattern, e.g. /api/communities/:communityId/posts
+const routeOf = (req) => {
+  if (!req.route) {
+    return null;
+  }
+  return `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}`;
+};
+
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const fields = {
+      requestId,
+      method: req.method,
+      route: routeOf(req),
+      path: req.originalUrl.split('?')[0],
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      uid: req.user?.uid || null,
+      ip: req.ip
+    };
+
+    if (status >= 500) {
+      logger.error('Request failed', fields);
+    } else {
+      logger.info('Request completed', fields);
+    }
+  });
+
+  runWithContext({ requestId, req }, next);
+};
+
+module.exports = {
+  requestLogger,
+  routeOf
+};
@@ -0,0 +1,217 @@
+const { sendError } = require('./errors');
+const { decodeCursor } = require('../services/pagination');
+
+// Request validation against the JSON Schema subset used in schemas/:
+// type (string, integer, number, boolean, array, object), enum, minLength,
+// maxLength, pattern, format (uri, email, cursor), minimum, maximum, minItems,
+// maxItems, items, properties, required, default and nullable.
+//
+// Query strings and route params are coerced to the declared type, unknown
+// properties are dropped and defaults filled in, so handlers can trust
+// req.params, req.query and req.body afterwards.
+//
+// Each middleware keeps its route schema as `.schema`, which is how
+// services/openapi.js documents the routes it is attached to.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+const coerce = (schema, value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+// Returns { value } or { error } for a single present value
+const checkValue = (schema, rawValue, path, fields, { coerceStrings }) => {
+  const value = coerceStrings ? coerce(schema, rawValue) : rawValue;
+
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        return { error: 'Must be a string' };
+      }
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        return { error: schema.minLength === 1 ? 'Must not be empty' : `Must be at least ${schema.minLength} characters` };
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return { error: `Must be at most ${schema.maxLength} characters` };
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return { error: 'Has an invalid format' };
+      }
+      if (schema.format === 'uri' && !isUrl(value)) {
+        return { error: 'Must be an http(s) URL' };
+      }
+      if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+        return { error: 'Must be a valid email address' };
+      }
+      if (schema.format === 'cursor' && !decodeCursor(value)) {
+        return { error: 'Must be a nextCursor value from a previous page' };
+      }
+      break;
+    }
+
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: 'Must be a number' };
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) {
+        return { error: 'Must be a whole number' };
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        return { error: `Must be at least ${schema.minimum}` };
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        return { error: `Must be at most ${schema.maximum}` };
+      }
+      break;
+    }
+
+    case 'boolean': {
+      if (typeof value !== 'boolean') {
+        return { error: 'Must be true or false' };
+      }
+      break;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return { error: 'Must be an array' };
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return { error: `Must have at least ${schema.minItems} items` };
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return { error: `Must have at most ${schema.maxItems} items` };
+      }
+      if (schema.items) {
+        const items = value.map((item, index) => {
+          const result = checkValue(schema.items, item, `${path}[${index}]`, fields, { coerceStrings });
+          if (result.error) {
+            fields[`${path}[${index}]`] = result.error;
+          }
+          return result.value;
+        });
+        return { value: items };
+      }
+      return { value };
+    }
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'Must be an object' };
+      }
+      return { value: checkObject(schema, value, path, fields, { coerceStrings }) };
+    }
+
+    default:
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { error: `Must be one of: ${schema.enum.join(', ')}` };
+  }
+
+  return { value };
+};
+
+const checkObject = (schema, input, path, fields, options) => {
+  const output = {};
+  const required = schema.required || [];
+
+  Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+    const fieldPath = path ? `${path}.${name}` : name;
+    const raw = input[name];
+    const missing = raw === undefined || (raw === null && !propertySchema.nullable)
+      || (options.coerceStrings && raw === '');
+
+    if (missing) {
+      if (propertySchema.default !== undefined) {
+        output[name] = propertySchema.default;
+      } else if (required.includes(name)) {
+        fields[fieldPath] = 'Is required';
+      }
+      return;
+    }
+
+    if (raw === null) {
+      output[name] = null;
+      return;
+    }
+
+    const result = checkValue(propertySchema, raw, fieldPath, fields, options);
+    if (result.error) {
+      fields[fieldPath] = result.error;
+    } else {
+      output[name] = result.value;
+    }
+  });
+
+  return output;
+};
+
+// Validate `input` against an object schema. Returns { value, fields } where
+// fields is empty when the input is valid.
+const validateObject = (schema, input, location, { coerceStrings = false } = {}) => {
+  const fields = {};
+  const value = checkObject(schema, input || {}, location, fields, { coerceStrings });
+  return { value, fields };
+};
+
+// Middleware validating any of params, query and body against a route schema:
+//   { params: objectSchema, query: objectSchema, body: objectSchema }
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const fields = {};
+    const validated = {};
+
+    ['params', 'query', 'body'].forEach(location => {
+      if (!schema[location]) {
+        return;
+      }
+
+      const result = validateObject(schema[location], req[location], location, {
+        coerceStrings: location !== 'body'
+      });
+      Object.assign(fields, result.fields);
+      validated[location] = result.value;
+    });
+
+    if (Object.keys(fields).length > 0) {
+      return sendError(res, 400, 'Request validation failed', {
+        code: 'VALIDATION_ERROR',
+        fields
+      });
+    }
+
+    Object.entries(validated).forEach(([location, value]) => {
+      req[location] = value;
+    });
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  validate,
+  validateObject
+};
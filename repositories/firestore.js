@@ -0,0 +1,749 @@
+const admin = require('firebase-admin');
+const { deleteInBatches } = require('../services/firebase');
+
+// Firestore-backed repositories. Records come back as plain objects with their
+// id (and parent ids for nested collections), and Firestore Timestamps are
+// turned into Dates, so callers never handle Firestore types and the
+// in-memory repositories can stand in for these.
+
+const { FieldValue, FieldPath, Timestamp } = admin.firestore;
+
+const db = () => admin.firestore();
+const serverTime = () => FieldValue.serverTimestamp();
+
+const fromFirestore = (value) => {
+  if (value instanceof Timestamp) {
+    return value.toDate();
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromFirestore);
+  }
+  if (value && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, fromFirestore(field)]));
+  }
+  return value;
+};
+
+const toRecord = (doc, parentIds = {}) => ({
+  id: doc.id,
+  ...parentIds,
+  ...fromFirestore(doc.data())
+});
+
+const getRecord = async (ref, parentIds) => {
+  const doc = await ref.get();
+  return doc.exists ? toRecord(doc, parentIds) : null;
+};
+
+// Newest first by `field`, ties broken by document id. `after` is a cursor
+// position ({ value, id }) to start after; `offset` is the deprecated fallback.
+const paginate = (query, field, { limit, offset, after } = {}) => {
+  let page = query
+    .orderBy(field, 'desc')
+    .orderBy(FieldPath.documentId(), 'desc');
+  if (after) {
+    page = page.startAfter(after.value, after.id);
+  } else if (offset) {
+    page = page.offset(offset);
+  }
+  if (limit) {
+    page = page.limit(limit);
+  }
+  return page;
+};
+
+// Indexes the queries below need beyond Firestore's defaults, such as the
+// collection-group lookups by author for account export and deletion, are in
+// firestore.indexes.json (see railway.toml for deploying them).
+
+// ==================== USERS ====================
+
+const userRef = (uid) => db().collection('users').doc(uid);
+
+const users = {
+  async get(uid) {
+    return getRecord(userRef(uid));
+  },
+
+  // Returns false when the profile already exists
+  async create(uid, data) {
+    try {
+      await userRef(uid).create({ ...data, createdAt: serverTime() });
+      return true;
+    } catch (error) {
+      // 6 = ALREADY_EXISTS
+      if (error.code === 6) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  async update(uid, data) {
+    await userRef(uid).update({ ...data, updatedAt: serverTime() });
+  },
+
+  // Like update, but creates the profile if it is missing
+  async merge(uid, data) {
+    await userRef(uid).set({ ...data, updatedAt: serverTime() }, { merge: true });
+  },
+
+  // Removes the profile and everything under it (bookmarks, notifications, sessions)
+  async delete(uid) {
+    await db().recursiveDelete(userRef(uid));
+  }
+};
+
+// ==================== COMMUNITIES ====================
+
+const communityRef = (communityId) => db().collection('communities').doc(communityId);
+
+const communities = {
+  // Archived communities are left out. Needs the composite indexes on archived
+  // (and category) with createdAt in firestore.indexes.json. Firestore can't
+  // match a missing field, so communities from before archiving existed are
+  // hidden until scripts/backfill-community-archived.js gives them
+  // `archived: false`; `npm run migrate` runs it before every deploy.
+  async list({ category, ...page } = {}) {
+    let query = db().collection('communities').where('archived', '==', false);
+    if (category) {
+      query = query.where('category', '==', category);
+    }
+    const snapshot = await paginate(query, 'createdAt', page).get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  async listFollowedBy(uid) {
+    const snapshot = await db().collection('communities').where('followers', 'array-contains', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  async listAdministeredBy(uid) {
+    const snapshot = await db().collection('communities').where('admin', '==', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  async listModeratedBy(uid) {
+    const snapshot = await db().collection('communities').where('moderators', 'array-contains', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  // How many communities use the category; archived ones only count when asked
+  async countInCategory(category, { includeArchived = false } = {}) {
+    let query = db().collection('communities').where('category', '==', category);
+    if (!includeArchived) {
+      query = query.where('archived', '==', false);
+    }
+    const snapshot = await query.count().get();
+    return snapshot.data().count;
+  },
+
+  async get(communityId) {
+    return getRecord(communityRef(communityId));
+  },
+
+  async create(data) {
+    const ref = await db().collection('communities').add({ archived: false, ...data, createdAt: serverTime() });
+    return ref.id;
+  },
+
+  async update(communityId, data) {
+    await communityRef(communityId).update({ ...data, updatedAt: serverTime() });
+  },
+
+  // Delete the community with its posts and their comments, in batches.
+  // Returns how many posts and comments went with it.
+  async delete(communityId) {
+    const postRefs = (await postsOf(communityId).select().get()).docs.map(doc => doc.ref);
+
+    let deletedComments = 0;
+    for (const postRef of postRefs) {
+      deletedComments += await deleteInBatches(postRef.collection('comments'));
+    }
+    const deletedPosts = await deleteInBatches(postsOf(communityId));
+    await deleteInBatches(pendingPostsOf(communityId));
+    await deleteInBatches(joinRequestsOf(communityId));
+    await communityRef(communityId).delete();
+
+    return { posts: deletedPosts, comments: deletedComments };
+  },
+
+  async addFollower(communityId, uid) {
+    await communities.update(communityId, { followers: FieldValue.arrayUnion(uid) });
+  },
+
+  // Unfollowing also gives up membership of a restricted community
+  async removeFollower(communityId, uid) {
+    await communities.update(communityId, {
+      followers: FieldValue.arrayRemove(uid),
+      members: FieldValue.arrayRemove(uid)
+    });
+  },
+
+  // Approved members may post in a restricted community; they follow it too
+  async addMember(communityId, uid) {
+    await communities.update(communityId, {
+      followers: FieldValue.arrayUnion(uid),
+      members: FieldValue.arrayUnion(uid)
+    });
+  },
+
+  async incrementPostCount(communityId, by = 1) {
+    await communities.update(communityId, { postCount: FieldValue.increment(by) });
+  },
+
+  async inviteModerator(communityId, uid) {
+    await communities.update(communityId, { moderatorInvites: FieldValue.arrayUnion(uid) });
+  },
+
+  async acceptModeratorInvite(communityId, uid) {
+    await communities.update(communityId, {
+      moderatorInvites: FieldValue.arrayRemove(uid),
+      moderators: FieldValue.arrayUnion(uid)
+    });
+  },
+
+  // Removes the uid as a moderator and any invitation to become one
+  async removeModerator(communityId, uid) {
+    await communities.update(communityId, {
+      moderatorInvites: FieldValue.arrayRemove(uid),
+      moderators: FieldValue.arrayRemove(uid)
+    });
+  },
+
+  // Make `owner` ({ uid, name }) the admin. The previous admin, if any, stays
+  // on as a moderator.
+  async transferOwnership(communityId, owner) {
+    const ref = communityRef(communityId);
+
+    await db().runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const { admin: previousOwner, moderators = [] } = doc.data();
+      const nextModerators = moderators.filter(uid => uid !== owner.uid);
+      if (previousOwner && previousOwner !== owner.uid && !nextModerators.includes(previousOwner)) {
+        nextModerators.push(previousOwner);
+      }
+
+      transaction.update(ref, {
+        admin: owner.uid,
+        adminName: owner.name,
+        moderators: nextModerators,
+        updatedAt: serverTime()
+      });
+    });
+  }
+};
+
+// ==================== CATEGORIES ====================
+
+// Keyed by slug, which is also kept in the document. The defaults are seeded
+// by scripts/migrate-community-categories.js before each deploy.
+const categoryRef = (slug) => db().collection('categories').doc(slug);
+
+const categories = {
+  async list() {
+    const snapshot = await db().collection('categories').orderBy('name').get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  async get(slug) {
+    return getRecord(categoryRef(slug));
+  },
+
+  // Returns false when the slug is taken
+  async create(slug, data) {
+    try {
+      await categoryRef(slug).create({ ...data, slug, createdAt: serverTime() });
+      return true;
+    } catch (error) {
+      // 6 = ALREADY_EXISTS
+      if (error.code === 6) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  async update(slug, data) {
+    await categoryRef(slug).update({ ...data, updatedAt: serverTime() });
+  },
+
+  async delete(slug) {
+    await categoryRef(slug).delete();
+  }
+};
+
+// ==================== JOIN REQUESTS ====================
+
+// One pending request per user, keyed by their uid
+const joinRequestsOf = (communityId) => communityRef(communityId).collection('joinRequests');
+
+const joinRequests = {
+  async list(communityId, page = {}) {
+    const snapshot = await paginate(joinRequestsOf(communityId), 'createdAt', page).get();
+    return snapshot.docs.map(doc => toRecord(doc, { communityId }));
+  },
+
+  async listByUser(uid) {
+    const snapshot = await db().collectionGroup('joinRequests').where('uid', '==', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc, { communityId: doc.ref.parent.parent.id }));
+  },
+
+  async get(communityId, uid) {
+    return getRecord(joinRequestsOf(communityId).doc(uid), { communityId });
+  },
+
+  // Returns false when the user already has a request pending
+  async create(communityId, uid, data) {
+    try {
+      await joinRequestsOf(communityId).doc(uid).create({ ...data, uid, createdAt: serverTime() });
+      return true;
+    } catch (error) {
+      // 6 = ALREADY_EXISTS
+      if (error.code === 6) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  async delete(communityId, uid) {
+    await joinRequestsOf(communityId).doc(uid).delete();
+  }
+};
+
+// ==================== POSTS ====================
+
+const postsOf = (communityId) => communityRef(communityId).collection('posts');
+const postParents = (ref) => ({ communityId: ref.parent.parent.id });
+
+const posts = {
+  // Newest first. `since` limits the list to posts made after that Date.
+  async list(communityId, { since, ...page } = {}) {
+    let query = postsOf(communityId);
+    if (since) {
+      query = query.where('timestamp', '>=', since);
+    }
+    const snapshot = await paginate(query, 'timestamp', page).get();
+    return snapshot.docs.map(doc => toRecord(doc, { communityId }));
+  },
+
+  // Only pinned posts, newest first. Needs the pinned/timestamp index in firestore.indexes.json.
+  async listPinned(communityId) {
+    const snapshot = await postsOf(communityId).where('pinned', '==', true).orderBy('timestamp', 'desc').get();
+    return snapshot.docs.map(doc => toRecord(doc, { communityId }));
+  },
+
+  async listByAuthor(uid) {
+    const snapshot = await db().collectionGroup('posts').where('author', '==', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc, postParents(doc.ref)));
+  },
+
+  async listLikedBy(uid) {
+    const snapshot = await db().collectionGroup('posts').where('likes', 'array-contains', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc, postParents(doc.ref)));
+  },
+
+  async get(communityId, postId) {
+    return getRecord(postsOf(communityId).doc(postId), { communityId });
+  },
+
+  async create(communityId, data) {
+    const ref = await postsOf(communityId).add({ ...data, timestamp: serverTime() });
+    return ref.id;
+  },
+
+  async update(communityId, postId, data) {
+    await postsOf(communityId).doc(postId).update(data);
+  },
+
+  async addLike(communityId, postId, uid) {
+    await posts.update(communityId, postId, { likes: FieldValue.arrayUnion(uid) });
+  },
+
+  async removeLike(communityId, postId, uid) {
+    await posts.update(communityId, postId, { likes: FieldValue.arrayRemove(uid) });
+  },
+
+  async incrementComments(communityId, postId, by = 1) {
+    await posts.update(communityId, postId, { comments: FieldValue.increment(by) });
+  },
+
+  // Delete the post and its comments; returns how many comments went with it
+  async delete(communityId, postId) {
+    const ref = postsOf(communityId).doc(postId);
+    const deletedComments = await deleteInBatches(ref.collection('comments'));
+    await ref.delete();
+    return { comments: deletedComments };
+  }
+};
+
+// ==================== PENDING POSTS ====================
+
+// Posts waiting for a moderator in a community that requires approval. They
+// are kept apart from `posts`, so nothing that reads posts can show them.
+const pendingPostsOf = (communityId) => communityRef(communityId).collection('pendingPosts');
+
+const pendingPosts = {
+  async list(communityId, page = {}) {
+    const snapshot = await paginate(pendingPostsOf(communityId), 'timestamp', page).get();
+    return snapshot.docs.map(doc => toRecord(doc, { communityId }));
+  },
+
+  async listByAuthor(uid) {
+    const snapshot = await db().collectionGroup('pendingPosts').where('author', '==', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc, postParents(doc.ref)));
+  },
+
+  async get(communityId, postId) {
+    return getRecord(pendingPostsOf(communityId).doc(postId), { communityId });
+  },
+
+  async create(communityId, data) {
+    const ref = await pendingPostsOf(communityId).add({ ...data, timestamp: serverTime() });
+    return ref.id;
+  },
+
+  // Move the post into the community's posts under the same id, with
+  // `changes` applied. It is timestamped now, so it shows up as new, and the
+  // time it was sent in is kept as submittedAt. Returns false when the post
+  // is no longer pending.
+  async publish(communityId, postId, changes = {}) {
+    const pendingRef = pendingPostsOf(communityId).doc(postId);
+
+    return db().runTransaction(async (transaction) => {
+      const doc = await transaction.get(pendingRef);
+      if (!doc.exists) {
+        return false;
+      }
+
+      const { timestamp: submittedAt, ...data } = doc.data();
+      transaction.create(postsOf(communityId).doc(postId), {
+        ...data,
+        ...changes,
+        submittedAt,
+        timestamp: serverTime()
+      });
+      transaction.delete(pendingRef);
+      return true;
+    });
+  },
+
+  async delete(communityId, postId) {
+    await pendingPostsOf(communityId).doc(postId).delete();
+  }
+};
+
+// ==================== COMMENTS ====================
+
+const commentsOf = (communityId, postId) => postsOf(communityId).doc(postId).collection('comments');
+const commentParents = (ref) => ({
+  communityId: ref.parent.parent.parent.parent.id,
+  postId: ref.parent.parent.id
+});
+
+const comments = {
+  async list(communityId, postId, page = {}) {
+    const snapshot = await paginate(commentsOf(communityId, postId), 'timestamp', page).get();
+    return snapshot.docs.map(doc => toRecord(doc, { communityId, postId }));
+  },
+
+  async listByAuthor(uid) {
+    const snapshot = await db().collectionGroup('comments').where('author', '==', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc, commentParents(doc.ref)));
+  },
+
+  async create(communityId, postId, data) {
+    const ref = await commentsOf(communityId, postId).add({ ...data, timestamp: serverTime() });
+    return ref.id;
+  },
+
+  async update(communityId, postId, commentId, data) {
+    await commentsOf(communityId, postId).doc(commentId).update(data);
+  }
+};
+
+// ==================== GROUPS ====================
+
+const groupRef = (groupId) => db().collection('groups').doc(groupId);
+
+const groups = {
+  async list(page = {}) {
+    const snapshot = await paginate(db().collection('groups'), 'createdAt', page).get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  async listForMember(uid) {
+    const snapshot = await db().collection('groups').where('members', 'array-contains', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  async listAdministeredBy(uid) {
+    const snapshot = await db().collection('groups').where('admin', '==', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  async get(groupId) {
+    return getRecord(groupRef(groupId));
+  },
+
+  async create(data) {
+    const ref = await db().collection('groups').add({
+      ...data,
+      createdAt: serverTime(),
+      updatedAt: serverTime()
+    });
+    return ref.id;
+  },
+
+  async update(groupId, data) {
+    await groupRef(groupId).update({ ...data, updatedAt: serverTime() });
+  },
+
+  async addMember(groupId, uid) {
+    await groups.update(groupId, { members: FieldValue.arrayUnion(uid) });
+  },
+
+  async removeMember(groupId, uid) {
+    await groups.update(groupId, { members: FieldValue.arrayRemove(uid) });
+  }
+};
+
+// ==================== MESSAGES ====================
+
+const messagesOf = (groupId) => groupRef(groupId).collection('messages');
+
+const messages = {
+  async list(groupId, page = {}) {
+    const snapshot = await paginate(messagesOf(groupId), 'timestamp', page).get();
+    return snapshot.docs.map(doc => toRecord(doc, { groupId }));
+  },
+
+  async listByAuthor(uid) {
+    const snapshot = await db().collectionGroup('messages').where('author', '==', uid).get();
+    return snapshot.docs.map(doc => toRecord(doc, { groupId: doc.ref.parent.parent.id }));
+  },
+
+  async create(groupId, data) {
+    const ref = await messagesOf(groupId).add({ ...data, timestamp: serverTime() });
+    return ref.id;
+  },
+
+  async update(groupId, messageId, data) {
+    await messagesOf(groupId).doc(messageId).update(data);
+  }
+};
+
+// ==================== PER-USER COLLECTIONS ====================
+
+const notificationsOf = (uid) => userRef(uid).collection('notifications');
+
+const notifications = {
+  async list(uid, page = {}) {
+    const snapshot = await paginate(notificationsOf(uid), 'timestamp', page).get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  async create(uid, data) {
+    const ref = await notificationsOf(uid).add({ read: false, ...data, timestamp: serverTime() });
+    return ref.id;
+  },
+
+  async markRead(uid, notificationId) {
+    await notificationsOf(uid).doc(notificationId).update({ read: true, readAt: serverTime() });
+  },
+
+  // Returns how many were marked
+  async markAllRead(uid) {
+    const snapshot = await notificationsOf(uid).where('read', '==', false).get();
+    const batch = db().batch();
+    snapshot.docs.forEach(doc => {
+      batch.update(doc.ref, { read: true, readAt: serverTime() });
+    });
+    await batch.commit();
+    return snapshot.size;
+  }
+};
+
+const bookmarksOf = (uid) => userRef(uid).collection('bookmarks');
+
+const bookmarks = {
+  async list(uid, page = {}) {
+    const snapshot = await paginate(bookmarksOf(uid), 'createdAt', page).get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  async create(uid, data) {
+    const ref = await bookmarksOf(uid).add({ ...data, createdAt: serverTime() });
+    return ref.id;
+  },
+
+  async delete(uid, bookmarkId) {
+    await bookmarksOf(uid).doc(bookmarkId).delete();
+  }
+};
+
+const sessionsOf = (uid) => userRef(uid).collection('sessions');
+
+const sessions = {
+  // Newest first
+  async list(uid) {
+    const snapshot = await sessionsOf(uid).orderBy('createdAt', 'desc').get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  },
+
+  async get(uid, sessionId) {
+    return getRecord(sessionsOf(uid).doc(sessionId));
+  },
+
+  async create(uid, data) {
+    const ref = await sessionsOf(uid).add({ ...data, createdAt: serverTime() });
+    return ref.id;
+  },
+
+  async update(uid, sessionId, data) {
+    await sessionsOf(uid).doc(sessionId).update(data);
+  }
+};
+
+// ==================== TWO-FACTOR ====================
+
+// Server-only collection that client security rules never expose
+const twoFactorRef = (uid) => db().collection('twoFactor').doc(uid);
+
+const twoFactor = {
+  async get(uid) {
+    return getRecord(twoFactorRef(uid));
+  },
+
+  async set(uid, data) {
+    await twoFactorRef(uid).set({ ...data, createdAt: serverTime() });
+  },
+
+  async update(uid, data) {
+    await twoFactorRef(uid).update({ ...data, updatedAt: serverTime() });
+  },
+
+  // Atomically read and change the settings. `updater` gets the current
+  // settings (or null) and returns { update, result }; update may be null.
+  async modify(uid, updater) {
+    const ref = twoFactorRef(uid);
+
+    return db().runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const { update, result } = updater(doc.exists ? toRecord(doc) : null);
+      if (update) {
+        transaction.update(ref, update);
+      }
+      return result;
+    });
+  },
+
+  async delete(uid) {
+    await twoFactorRef(uid).delete();
+  }
+};
+
+// ==================== AUDIT LOG ====================
+
+// Append-only: entries are never updated or deleted, including when the
+// actor's account is. Filtering by action, actor or target needs composite
+// indexes with timestamp.
+const auditLog = {
+  async append(entry) {
+    const ref = await db().collection('auditLog').add({ ...entry, timestamp: serverTime() });
+    return ref.id;
+  },
+
+  // Newest first
+  async list({ action, actor, target, ...page } = {}) {
+    let query = db().collection('auditLog');
+    if (action) {
+      query = query.where('action', '==', action);
+    }
+    if (actor) {
+      query = query.where('actor', '==', actor);
+    }
+    if (target) {
+      query = query.where('target', '==', target);
+    }
+    const snapshot = await paginate(query, 'timestamp', page).get();
+    return snapshot.docs.map(doc => toRecord(doc));
+  }
+};
+
+// ==================== IDEMPOTENCY KEYS ====================
+
+// Responses to create requests, kept for a while so retries can be replayed.
+// Documents are keyed by a hash of the user, route and Idempotency-Key.
+// Expired ones are purged by the idempotency-sweep job, or by a Firestore
+// TTL policy on `idempotencyKeys.expiresAt`.
+const idempotencyKeyRef = (key) => db().collection('idempotencyKeys').doc(key);
+
+// A key is held until it expires, but a pending claim only until its
+// pendingUntil lease runs out; after that the request that made it is
+// presumed dead and a retry may take the key over
+const isLiveClaim = (record, now) => {
+  return record.expiresAt > now && (record.state !== 'pending' || record.pendingUntil > now);
+};
+
+const idempotencyKeys = {
+  // Atomically claim a key: returns the live record already holding it, or
+  // stores `record` and returns null
+  async claim(key, record) {
+    const ref = idempotencyKeyRef(key);
+
+    return db().runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const existing = doc.exists ? toRecord(doc) : null;
+      if (existing && isLiveClaim(existing, new Date())) {
+        return existing;
+      }
+      transaction.set(ref, { ...record, createdAt: serverTime() });
+      return null;
+    });
+  },
+
+  async update(key, data) {
+    await idempotencyKeyRef(key).update(data);
+  },
+
+  async delete(key) {
+    await idempotencyKeyRef(key).delete();
+  },
+
+  async purgeExpired({ signal } = {}) {
+    const expired = db().collection('idempotencyKeys').where('expiresAt', '<=', Timestamp.now());
+    return deleteInBatches(expired, { signal });
+  }
+};
+
+// Cheapest round trip that proves credentials and connectivity: read a
+// document that never exists
+const ping = async () => {
+  await db().collection('_health').doc('ping').get();
+};
+
+const createFirestoreRepositories = () => ({
+  ping,
+  users,
+  communities,
+  categories,
+  joinRequests,
+  posts,
+  pendingPosts,
+  comments,
+  groups,
+  messages,
+  notifications,
+  bookmarks,
+  sessions,
+  twoFactor,
+  auditLog,
+  idempotencyKeys
+});
+
+module.exports = {
+  fromFirestore,
+  createFirestoreRepositories
+};
@@ -0,0 +1,42 @@
+const { getConfig } = require('../config');
+const { createFirestoreRepositories } = require('./firestore');
+const { createMemoryRepositories } = require('./memory');
+
+// Data access for routes and services. Both implementations expose the same
+// repositories: users, communities, categories, joinRequests, posts,
+// pendingPosts, comments, groups, messages, notifications, bookmarks,
+// sessions, twoFactor, auditLog and idempotencyKeys, plus ping() for
+// readiness checks.
+
+// Pick an implementation from DATA_STORE ("firestore" or "memory")
+const createRepositories = (type = 'firestore') => {
+  if (type === 'firestore') {
+    return createFirestoreRepositories();
+  }
+  if (type === 'memory') {
+    return createMemoryRepositories();
+  }
+  throw new Error(`Unknown DATA_STORE "${type}"`);
+};
+
+let repositories = null;
+
+// The repositories for this process, chosen by the validated config on first use
+const getRepositories = () => {
+  if (!repositories) {
+    repositories = createRepositories(getConfig().dataStore);
+  }
+  return repositories;
+};
+
+// Swap in another set, e.g. fresh in-memory repositories per test.
+// Must be called before the routers are loaded.
+const setRepositories = (nextRepositories) => {
+  repositories = nextRepositories;
+};
+
+module.exports = {
+  createRepositories,
+  getRepositories,
+  setRepositories
+};
@@ -0,0 +1,650 @@
+const crypto = require('crypto');
+const { comparePositions } = require('../services/pagination');
+const { DEFAULT_CATEGORIES } = require('../services/categories');
+
+// In-memory repositories with the same interface as the Firestore ones, so the
+// whole API runs locally with no credentials or network. Nothing survives a
+// restart. Records are cloned on the way in and out, like documents would be.
+// The default community categories are there from the start.
+
+const newId = () => crypto.randomBytes(15).toString('base64url');
+
+const notFoundError = (path) => {
+  // Matches the NOT_FOUND code Firestore uses for updates to missing documents
+  const error = new Error(`No document to update: ${path}`);
+  error.code = 5;
+  return error;
+};
+
+// Documents of one collection (or one collection group), keyed by their
+// parent ids plus their own id
+const createCollection = (name) => {
+  const docs = new Map();
+
+  const keyOf = (parentIds, id) => [...Object.values(parentIds), id].join('/');
+
+  const toRecord = ({ id, parentIds, data }) => structuredClone({ id, ...parentIds, ...data });
+
+  return {
+    add(parentIds, data, id = newId()) {
+      docs.set(keyOf(parentIds, id), { id, parentIds, data: structuredClone(data) });
+      return id;
+    },
+
+    has(parentIds, id) {
+      return docs.has(keyOf(parentIds, id));
+    },
+
+    get(parentIds, id) {
+      const doc = docs.get(keyOf(parentIds, id));
+      return doc ? toRecord(doc) : null;
+    },
+
+    // `change` is an object to merge in or a function of the current data
+    update(parentIds, id, change) {
+      const doc = docs.get(keyOf(parentIds, id));
+      if (!doc) {
+        throw notFoundError(`${name}/${keyOf(parentIds, id)}`);
+      }
+      const patch = typeof change === 'function' ? change(doc.data) : change;
+      doc.data = { ...doc.data, ...structuredClone(patch) };
+    },
+
+    delete(parentIds, id) {
+      docs.delete(keyOf(parentIds, id));
+    },
+
+    // Delete every document whose parent ids match, e.g. all of one user's bookmarks
+    deleteWhere(parentIds) {
+      [...docs.entries()]
+        .filter(([, doc]) => Object.entries(parentIds).every(([key, value]) => doc.parentIds[key] === value))
+        .forEach(([key]) => docs.delete(key));
+    },
+
+    // Matching records. With `orderBy` they come newest first, ties broken by
+    // id, starting after the cursor position `after` (or skipping `offset`).
+    find({ parentIds = {}, where = () => true, orderBy, limit, offset = 0, after } = {}) {
+      let matches = [...docs.values()].filter(doc => {
+        return Object.entries(parentIds).every(([key, value]) => doc.parentIds[key] === value)
+          && where(doc.data);
+      });
+
+      if (orderBy) {
+        const positionOf = (doc) => ({ value: doc.data[orderBy], id: doc.id });
+        matches = matches
+          .filter(doc => doc.data[orderBy] !== undefined)
+          .sort((a, b) => comparePositions(positionOf(a), positionOf(b)));
+
+        if (after) {
+          matches = matches.filter(doc => comparePositions(positionOf(doc), after) > 0);
+        }
+      }
+
+      const start = after ? 0 : offset;
+      const end = limit ? start + limit : undefined;
+      return matches.slice(start, end).map(toRecord);
+    }
+  };
+};
+
+const without = (list = [], value) => list.filter(item => item !== value);
+const withValue = (list = [], value) => (list.includes(value) ? list : [...list, value]);
+
+const createMemoryRepositories = () => {
+  const tables = {
+    users: createCollection('users'),
+    communities: createCollection('communities'),
+    categories: createCollection('categories'),
+    joinRequests: createCollection('joinRequests'),
+    posts: createCollection('posts'),
+    pendingPosts: createCollection('pendingPosts'),
+    comments: createCollection('comments'),
+    groups: createCollection('groups'),
+    messages: createCollection('messages'),
+    notifications: createCollection('notifications'),
+    bookmarks: createCollection('bookmarks'),
+    sessions: createCollection('sessions'),
+    twoFactor: createCollection('twoFactor'),
+    auditLog: createCollection('auditLog'),
+    idempotencyKeys: createCollection('idempotencyKeys')
+  };
+
+  const users = {
+    async get(uid) {
+      return tables.users.get({}, uid);
+    },
+
+    async create(uid, data) {
+      if (tables.users.has({}, uid)) {
+        return false;
+      }
+      tables.users.add({}, { ...data, createdAt: new Date() }, uid);
+      return true;
+    },
+
+    async update(uid, data) {
+      tables.users.update({}, uid, { ...data, updatedAt: new Date() });
+    },
+
+    async merge(uid, data) {
+      if (!tables.users.has({}, uid)) {
+        tables.users.add({}, {}, uid);
+      }
+      await users.update(uid, data);
+    },
+
+    async delete(uid) {
+      tables.users.delete({}, uid);
+      ['notifications', 'bookmarks', 'sessions'].forEach(name => tables[name].deleteWhere({ uid }));
+    }
+  };
+
+  const communities = {
+    // Archived communities are left out
+    async list({ category, ...page } = {}) {
+      return tables.communities.find({
+        where: data => !data.archived && (!category || data.category === category),
+        orderBy: 'createdAt',
+        ...page
+      });
+    },
+
+    async listFollowedBy(uid) {
+      return tables.communities.find({ where: data => data.followers?.includes(uid) });
+    },
+
+    async listAdministeredBy(uid) {
+      return tables.communities.find({ where: data => data.admin === uid });
+    },
+
+    async listModeratedBy(uid) {
+      return tables.communities.find({ where: data => data.moderators?.includes(uid) });
+    },
+
+    async countInCategory(category, { includeArchived = false } = {}) {
+      return tables.communities.find({
+        where: data => data.category === category && (includeArchived || !data.archived)
+      }).length;
+    },
+
+    async get(communityId) {
+      return tables.communities.get({}, communityId);
+    },
+
+    async create(data) {
+      return tables.communities.add({}, { archived: false, ...data, createdAt: new Date() });
+    },
+
+    async update(communityId, data) {
+      tables.communities.update({}, communityId, { ...data, updatedAt: new Date() });
+    },
+
+    async delete(communityId) {
+      const removed = {
+        posts: tables.posts.find({ parentIds: { communityId } }).length,
+        comments: tables.comments.find({ parentIds: { communityId } }).length
+      };
+      tables.comments.deleteWhere({ communityId });
+      tables.posts.deleteWhere({ communityId });
+      tables.pendingPosts.deleteWhere({ communityId });
+      tables.joinRequests.deleteWhere({ communityId });
+      tables.communities.delete({}, communityId);
+      return removed;
+    },
+
+    async addFollower(communityId, uid) {
+      tables.communities.update({}, communityId, data => ({
+        followers: withValue(data.followers, uid),
+        updatedAt: new Date()
+      }));
+    },
+
+    async removeFollower(communityId, uid) {
+      tables.communities.update({}, communityId, data => ({
+        followers: without(data.followers, uid),
+        members: without(data.members, uid),
+        updatedAt: new Date()
+      }));
+    },
+
+    async addMember(communityId, uid) {
+      tables.communities.update({}, communityId, data => ({
+        followers: withValue(data.followers, uid),
+        members: withValue(data.members, uid),
+        updatedAt: new Date()
+      }));
+    },
+
+    async incrementPostCount(communityId, by = 1) {
+      tables.communities.update({}, communityId, data => ({
+        postCount: (data.postCount || 0) + by,
+        updatedAt: new Date()
+      }));
+    },
+
+    async inviteModerator(communityId, uid) {
+      tables.communities.update({}, communityId, data => ({
+        moderatorInvites: withValue(data.moderatorInvites, uid),
+        updatedAt: new Date()
+      }));
+    },
+
+    async acceptModeratorInvite(communityId, uid) {
+      tables.communities.update({}, communityId, data => ({
+        moderatorInvites: without(data.moderatorInvites, uid),
+        moderators: withValue(data.moderators, uid),
+        updatedAt: new Date()
+      }));
+    },
+
+    async removeModerator(communityId, uid) {
+      tables.communities.update({}, communityId, data => ({
+        moderatorInvites: without(data.moderatorInvites, uid),
+        moderators: without(data.moderators, uid),
+        updatedAt: new Date()
+      }));
+    },
+
+    async transferOwnership(communityId, owner) {
+      tables.communities.update({}, communityId, data => {
+        const moderators = without(data.moderators, owner.uid);
+        return {
+          admin: owner.uid,
+          adminName: owner.name,
+          moderators: data.admin && data.admin !== owner.uid ? withValue(moderators, data.admin) : moderators,
+          updatedAt: new Date()
+        };
+      });
+    }
+  };
+
+  const categories = {
+    async list() {
+      return tables.categories.find().sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(slug) {
+      return tables.categories.get({}, slug);
+    },
+
+    async create(slug, data) {
+      if (tables.categories.has({}, slug)) {
+        return false;
+      }
+      tables.categories.add({}, { ...data, slug, createdAt: new Date() }, slug);
+      return true;
+    },
+
+    async update(slug, data) {
+      tables.categories.update({}, slug, { ...data, updatedAt: new Date() });
+    },
+
+    async delete(slug) {
+      tables.categories.delete({}, slug);
+    }
+  };
+
+  DEFAULT_CATEGORIES.forEach(({ slug, ...data }) => categories.create(slug, data));
+
+  const joinRequests = {
+    async list(communityId, page = {}) {
+      return tables.joinRequests.find({ parentIds: { communityId }, orderBy: 'createdAt', ...page });
+    },
+
+    async listByUser(uid) {
+      return tables.joinRequests.find({ where: data => data.uid === uid });
+    },
+
+    async get(communityId, uid) {
+      return tables.joinRequests.get({ communityId }, uid);
+    },
+
+    async create(communityId, uid, data) {
+      if (tables.joinRequests.has({ communityId }, uid)) {
+        return false;
+      }
+      tables.joinRequests.add({ communityId }, { ...data, uid, createdAt: new Date() }, uid);
+      return true;
+    },
+
+    async delete(communityId, uid) {
+      tables.joinRequests.delete({ communityId }, uid);
+    }
+  };
+
+  const posts = {
+    async list(communityId, { since, ...page } = {}) {
+      return tables.posts.find({
+        parentIds: { communityId },
+        where: data => !since || data.timestamp >= since,
+        orderBy: 'timestamp',
+        ...page
+      });
+    },
+
+    async listPinned(communityId) {
+      return tables.posts.find({
+        parentIds: { communityId },
+        where: data => data.pinned === true,
+        orderBy: 'timestamp'
+      });
+    },
+
+    async listByAuthor(uid) {
+      return tables.posts.find({ where: data => data.author === uid });
+    },
+
+    async listLikedBy(uid) {
+      return tables.posts.find({ where: data => data.likes?.includes(uid) });
+    },
+
+    async get(communityId, postId) {
+      return tables.posts.get({ communityId }, postId);
+    },
+
+    async create(communityId, data) {
+      return tables.posts.add({ communityId }, { ...data, timestamp: new Date() });
+    },
+
+    async update(communityId, postId, data) {
+      tables.posts.update({ communityId }, postId, data);
+    },
+
+    async addLike(communityId, postId, uid) {
+      tables.posts.update({ communityId }, postId, data => ({ likes: withValue(data.likes, uid) }));
+    },
+
+    async removeLike(communityId, postId, uid) {
+      tables.posts.update({ communityId }, postId, data => ({ likes: without(data.likes, uid) }));
+    },
+
+    async incrementComments(communityId, postId, by = 1) {
+      tables.posts.update({ communityId }, postId, data => ({ comments: (data.comments || 0) + by }));
+    },
+
+    async delete(communityId, postId) {
+      const removed = { comments: tables.comments.find({ parentIds: { communityId, postId } }).length };
+      tables.comments.deleteWhere({ communityId, postId });
+      tables.posts.delete({ communityId }, postId);
+      return removed;
+    }
+  };
+
+  const pendingPosts = {
+    async list(communityId, page = {}) {
+      return tables.pendingPosts.find({ parentIds: { communityId }, orderBy: 'timestamp', ...page });
+    },
+
+    async listByAuthor(uid) {
+      return tables.pendingPosts.find({ where: data => data.author === uid });
+    },
+
+    async get(communityId, postId) {
+      return tables.pendingPosts.get({ communityId }, postId);
+    },
+
+    async create(communityId, data) {
+      return tables.pendingPosts.add({ communityId }, { ...data, timestamp: new Date() });
+    },
+
+    async publish(communityId, postId, changes = {}) {
+      const pending = tables.pendingPosts.get({ communityId }, postId);
+      if (!pending) {
+        return false;
+      }
+
+      // Records carry their ids, which aren't part of the stored data
+      const { id, communityId: parentId, timestamp: submittedAt, ...data } = pending;
+      tables.posts.add({ communityId }, { ...data, ...changes, submittedAt, timestamp: new Date() }, postId);
+      tables.pendingPosts.delete({ communityId }, postId);
+      return true;
+    },
+
+    async delete(communityId, postId) {
+      tables.pendingPosts.delete({ communityId }, postId);
+    }
+  };
+
+  const comments = {
+    async list(communityId, postId, page = {}) {
+      return tables.comments.find({ parentIds: { communityId, postId }, orderBy: 'timestamp', ...page });
+    },
+
+    async listByAuthor(uid) {
+      return tables.comments.find({ where: data => data.author === uid });
+    },
+
+    async create(communityId, postId, data) {
+      return tables.comments.add({ communityId, postId }, { ...data, timestamp: new Date() });
+    },
+
+    async update(communityId, postId, commentId, data) {
+      tables.comments.update({ communityId, postId }, commentId, data);
+    }
+  };
+
+  const groups = {
+    async list(page = {}) {
+      return tables.groups.find({ orderBy: 'createdAt', ...page });
+    },
+
+    async listForMember(uid) {
+      return tables.groups.find({ where: data => data.members?.includes(uid) });
+    },
+
+    async listAdministeredBy(uid) {
+      return tables.groups.find({ where: data => data.admin === uid });
+    },
+
+    async get(groupId) {
+      return tables.groups.get({}, groupId);
+    },
+
+    async create(data) {
+      return tables.groups.add({}, { ...data, createdAt: new Date(), updatedAt: new Date() });
+    },
+
+    async update(groupId, data) {
+      tables.groups.update({}, groupId, { ...data, updatedAt: new Date() });
+    },
+
+    async addMember(groupId, uid) {
+      tables.groups.update({}, groupId, data => ({
+        members: withValue(data.members, uid),
+        updatedAt: new Date()
+      }));
+    },
+
+    async removeMember(groupId, uid) {
+      tables.groups.update({}, groupId, data => ({
+        members: without(data.members, uid),
+        updatedAt: new Date()
+      }));
+    }
+  };
+
+  const messages = {
+    async list(groupId, page = {}) {
+      return tables.messages.find({ parentIds: { groupId }, orderBy: 'timestamp', ...page });
+    },
+
+    async listByAuthor(uid) {
+      return tables.messages.find({ where: data => data.author === uid });
+    },
+
+    async create(groupId, data) {
+      return tables.messages.add({ groupId }, { ...data, timestamp: new Date() });
+    },
+
+    async update(groupId, messageId, data) {
+      tables.messages.update({ groupId }, messageId, data);
+    }
+  };
+
+  // Per-user collections carry the owner's uid as their parent id, which is
+  // dropped from returned records to match the Firestore shape
+  const withoutOwner = (record) => {
+    if (!record) {
+      return null;
+    }
+    const { uid, ...rest } = record;
+    return rest;
+  };
+
+  const notifications = {
+    async list(uid, page = {}) {
+      return tables.notifications
+        .find({ parentIds: { uid }, orderBy: 'timestamp', ...page })
+        .map(withoutOwner);
+    },
+
+    async create(uid, data) {
+      return tables.notifications.add({ uid }, { read: false, ...data, timestamp: new Date() });
+    },
+
+    async markRead(uid, notificationId) {
+      tables.notifications.update({ uid }, notificationId, { read: true, readAt: new Date() });
+    },
+
+    async markAllRead(uid) {
+      const unread = tables.notifications.find({ parentIds: { uid }, where: data => data.read === false });
+      unread.forEach(({ id }) => {
+        tables.notifications.update({ uid }, id, { read: true, readAt: new Date() });
+      });
+      return unread.length;
+    }
+  };
+
+  const bookmarks = {
+    async list(uid, page = {}) {
+      return tables.bookmarks
+        .find({ parentIds: { uid }, orderBy: 'createdAt', ...page })
+        .map(withoutOwner);
+    },
+
+    async create(uid, data) {
+      return tables.bookmarks.add({ uid }, { ...data, createdAt: new Date() });
+    },
+
+    async delete(uid, bookmarkId) {
+      tables.bookmarks.delete({ uid }, bookmarkId);
+    }
+  };
+
+  const sessions = {
+    async list(uid) {
+      return tables.sessions
+        .find({ parentIds: { uid }, orderBy: 'createdAt' })
+        .map(withoutOwner);
+    },
+
+    async get(uid, sessionId) {
+      return withoutOwner(tables.sessions.get({ uid }, sessionId));
+    },
+
+    async create(uid, data) {
+      return tables.sessions.add({ uid }, { ...data, createdAt: new Date() });
+    },
+
+    async update(uid, sessionId, data) {
+      tables.sessions.update({ uid }, sessionId, data);
+    }
+  };
+
+  const twoFactor = {
+    async get(uid) {
+      return tables.twoFactor.get({}, uid);
+    },
+
+    async set(uid, data) {
+      tables.twoFactor.add({}, { ...data, createdAt: new Date() }, uid);
+    },
+
+    async update(uid, data) {
+      tables.twoFactor.update({}, uid, { ...data, updatedAt: new Date() });
+    },
+
+    // Atomic because it never yields between the read and the write
+    async modify(uid, updater) {
+      const { update, result } = updater(tables.twoFactor.get({}, uid));
+      if (update) {
+        tables.twoFactor.update({}, uid, update);
+      }
+      return result;
+    },
+
+    async delete(uid) {
+      tables.twoFactor.delete({}, uid);
+    }
+  };
+
+  // Append-only, like the Firestore one
+  const auditLog = {
+    async append(entry) {
+      return tables.auditLog.add({}, { ...entry, timestamp: new Date() });
+    },
+
+    async list({ action, actor, target, ...page } = {}) {
+      return tables.auditLog.find({
+        where: data => (!action || data.action === action)
+          && (!actor || data.actor === actor)
+          && (!target || data.target === target),
+        orderBy: 'timestamp',
+        ...page
+      });
+    }
+  };
+
+  const idempotencyKeys = {
+    // Atomic because it never yields between the read and the write. Stale
+    // pending claims are taken over, as in the Firestore repository.
+    async claim(key, record) {
+      const now = new Date();
+      const existing = tables.idempotencyKeys.get({}, key);
+      if (existing && existing.expiresAt > now && (existing.state !== 'pending' || existing.pendingUntil > now)) {
+        return existing;
+      }
+      tables.idempotencyKeys.add({}, { ...record, createdAt: new Date() }, key);
+      return null;
+    },
+
+    async update(key, data) {
+      tables.idempotencyKeys.update({}, key, data);
+    },
+
+    async delete(key) {
+      tables.idempotencyKeys.delete({}, key);
+    },
+
+    async purgeExpired() {
+      const now = new Date();
+      const expired = tables.idempotencyKeys.find({ where: data => data.expiresAt <= now });
+      expired.forEach(record => tables.idempotencyKeys.delete({}, record.id));
+      return expired.length;
+    }
+  };
+
+  return {
+    // Nothing to reach; always up
+    ping: async () => {},
+    users,
+    communities,
+    categories,
+    joinRequests,
+    posts,
+    pendingPosts,
+    comments,
+    groups,
+    messages,
+    notifications,
+    bookmarks,
+    sessions,
+    twoFactor,
+    auditLog,
+    idempotencyKeys
+  };
+};
+
+module.exports = {
+  createMemoryRepositories
+};
@@ -0,0 +1,198 @@
+const express = require('express');
+const { verifyToken, requirePermission, requireStepUp } = require('../middleware/auth');
+const { getUserRoles, grantRole, revokeRole } = require('../services/permissions');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { logger } = require('../services/logger');
+const schemas = require('../schemas/admin');
+const { recordAudit } = require('../services/audit');
+const { getRepositories } = require('../repositories');
+const { pageOptions, toPage, sendPage } = require('../services/pagination');
+const { listJobs } = require('../services/jobs');
+const router = express.Router();
+
+const { auditLog, categories, communities } = getRepositories();
+
+// Get a user's platform roles
+router.get('/users/:uid/roles', verifyToken, requirePermission('roles:manage'), validate(schemas.userRoles), async (req, res) => {
+  try {
+    const { uid } = req.params;
+
+    const roles = await getUserRoles(uid);
+
+    res.json({ uid, roles });
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return sendError(res, 404, 'User not found');
+    }
+    logger.error('Error fetching roles', error);
+    sendError(res, 500, 'Failed to fetch roles');
+  }
+});
+
+// Grant a platform role (needs a recent two-factor check)
+router.post('/users/:uid/roles', verifyToken, requirePermission('roles:manage'), requireStepUp(), validate(schemas.grantRole), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const { role } = req.body;
+
+    const roles = await grantRole(uid, role);
+
+    await recordAudit('admin.role.granted', {
+      target: `user:${uid}`,
+      details: { role, roles }
+    });
+
+    // New claims reach the user's ID token on its next refresh
+    res.json({ message: 'Role granted', uid, roles });
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return sendError(res, 404, 'User not found');
+    }
+    logger.error('Error granting role', error);
+    sendError(res, 500, 'Failed to grant role');
+  }
+});
+
+// Revoke a platform role (needs a recent two-factor check)
+router.delete('/users/:uid/roles/:role', verifyToken, requirePermission('roles:manage'), requireStepUp(), validate(schemas.revokeRole), async (req, res) => {
+  try {
+    const { uid, role } = req.params;
+
+    // Keep at least one superadmin able to manage roles
+    if (uid === req.user.uid && role === 'superadmin') {
+      return sendError(res, 400, 'Superadmins cannot revoke their own superadmin role');
+    }
+
+    const roles = await revokeRole(uid, role);
+
+    await recordAudit('admin.role.revoked', {
+      target: `user:${uid}`,
+      details: { role, roles }
+    });
+
+    res.json({ message: 'Role revoked', uid, roles });
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return sendError(res, 404, 'User not found');
+    }
+    logger.error('Error revoking role', error);
+    sendError(res, 500, 'Failed to revoke role');
+  }
+});
+
+// Query the audit trail, newest first
+router.get('/audit-log', verifyToken, requirePermission('audit:read'), validate(schemas.auditLog), async (req, res) => {
+  try {
+    const { action, actor, target, limit } = req.query;
+
+    const results = await auditLog.list({ action, actor, target, ...pageOptions(req.query) });
+
+    sendPage(req, res, toPage(results, limit, 'timestamp'));
+  } catch (error) {
+    logger.error('Error fetching audit log', error);
+    sendError(res, 500, 'Failed to fetch audit log');
+  }
+});
+
+// ==================== CATEGORIES ====================
+
+// Add a community category
+router.post('/categories', verifyToken, requirePermission('categories:manage'), validate(schemas.createCategory), async (req, res) => {
+  try {
+    const { slug, name, icon = null } = req.body;
+
+    const created = await categories.create(slug, { name, icon });
+
+    if (!created) {
+      return sendError(res, 409, 'A category with this slug already exists');
+    }
+
+    await recordAudit('admin.category.created', {
+      target: `category:${slug}`,
+      details: { name, icon }
+    });
+
+    res.json({ message: 'Category created', category: await categories.get(slug) });
+  } catch (error) {
+    logger.error('Error creating category', error);
+    sendError(res, 500, 'Failed to create category');
+  }
+});
+
+// Rename a community category or change its icon
+router.patch('/categories/:slug', verifyToken, requirePermission('categories:manage'), validate(schemas.updateCategory), async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const changes = req.body;
+
+    if (Object.keys(changes).length === 0) {
+      return sendError(res, 400, 'Nothing to update', {
+        code: 'VALIDATION_ERROR',
+        fields: { body: 'Provide a name or icon' }
+      });
+    }
+
+    const category = await categories.get(slug);
+
+    if (!category) {
+      return sendError(res, 404, 'Category not found');
+    }
+
+    await categories.update(slug, changes);
+
+    await recordAudit('admin.category.updated', {
+      target: `category:${slug}`,
+      details: {
+        before: Object.fromEntries(Object.keys(changes).map(field => [field, category[field]])),
+        after: changes
+      }
+    });
+
+    res.json({ message: 'Category updated', category: await categories.get(slug) });
+  } catch (error) {
+    logger.error('Error updating category', error);
+    sendError(res, 500, 'Failed to update category');
+  }
+});
+
+// Delete a community category nobody uses
+router.delete('/categories/:slug', verifyToken, requirePermission('categories:manage'), validate(schemas.deleteCategory), async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const category = await categories.get(slug);
+
+    if (!category) {
+      return sendError(res, 404, 'Category not found');
+    }
+
+    // Archived communities count too; they can be unarchived
+    const inUse = await communities.countInCategory(slug, { includeArchived: true });
+    if (inUse > 0) {
+      return sendError(res, 409, 'Communities still use this category; move them to another first', {
+        code: 'CATEGORY_IN_USE',
+        communityCount: inUse
+      });
+    }
+
+    await categories.delete(slug);
+
+    await recordAudit('admin.category.deleted', {
+      target: `category:${slug}`,
+      details: { name: category.name }
+    });
+
+    res.json({ message: 'Category deleted' });
+  } catch (error) {
+    logger.error('Error deleting category', error);
+    sendError(res, 500, 'Failed to delete category');
+  }
+});
+
+// Background jobs on the instance that serves the request
+router.get('/jobs', verifyToken, requirePermission('jobs:read'), validate(schemas.jobs), (req, res) => {
+  res.json({ jobs: listJobs() });
+});
+
+module.exports = router;
@@ -1,212 +1,726 @@
 const express = require('express');
-const nodemailer = require('nodemailer');
 const crypto = require('crypto');
-const admin = require('firebase-admin');
+const { getAuthStores } = require('../services/authStores');
+const { isAllowedEmail, ensureUserProfile } = require('../services/userProvisioning');
+const { getMailer } = require('../services/mailer');
+const { LINK_TTL_MS, createLinkToken, parseLinkToken } = require('../services/magicLink');
+const { createSession, listSessions, revokeSession, revokeAllSessions, markStepUp } = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const { getIdentity } = require('../services/identity');
+const { recordAudit } = require('../services/audit');
+const { otpSends, otpVerifications, rateLimitRejections } = require('../services/metrics');
+const { verifyToken } = require('../middleware/auth');
+const { getConfig } = require('../config');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { logger } = require('../services/logger');
+const schemas = require('../schemas/auth');
 const router = express.Router();
 
-// Initialize Firebase Admin (if not already initialized)
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert({
-      projectId: process.env.FIREBASE_PROJECT_ID,
-      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-    }),
+const config = getConfig();
+
+// Firebase Auth, or the in-memory stand-in with DATA_STORE=memory
+const identity = getIdentity();
+
+// Mail delivery (Gmail in production, local outbox otherwise)
+const mailer = getMailer();
+
+// OTPs, sign-in links, second-factor challenges and OTP throttling
+// (Firestore in production, in-memory for local runs)
+const {
+  otp: otpStore,
+  link: linkStore,
+  mfa: mfaStore,
+  throttle: otpThrottle
+} = getAuthStores();
+
+const OTP_ERRORS = {
+  not_found: 'OTP not found or expired',
+  expired: 'OTP has expired',
+  too_many_attempts: 'Too many failed attempts. Please request a new OTP.',
+  invalid: 'Invalid OTP'
+};
+
+const LINK_ERRORS = {
+  not_found: 'Sign-in link has already been used or replaced by a newer one',
+  expired: 'Sign-in link has expired',
+  too_many_attempts: 'Sign-in link has already been used or replaced by a newer one',
+  invalid: 'Sign-in link has already been used or replaced by a newer one'
+};
+
+// How long a pending second-factor challenge stays open
+const MFA_TTL_MS = 5 * 60 * 1000;
+
+const THROTTLE_ERRORS = {
+  cooldown: 'Please wait before requesting another OTP',
+  email_quota: 'Too many OTP requests for this email today',
+  ip_quota: 'Too many OTP requests from this network today',
+  locked: 'Too many failed attempts. Please try again later.'
+};
+
+// Reject a throttled request, telling the client when it may retry
+const sendThrottled = (res, { reason, retryAfter }) => {
+  rateLimitRejections.inc({ limiter: `otp_${reason}` });
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 429, THROTTLE_ERRORS[reason], {
+    code: reason === 'locked' ? 'ACCOUNT_LOCKED' : 'OTP_THROTTLED',
+    retryAfter
   });
-}
-
-// Email transporter setup
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.GMAIL_USER,
-    pass: process.env.GMAIL_APP_PASSWORD
-  },
-  tls: {
-    rejectUnauthorized: false
+};
+
+// Count and audit a failed sign-in check. `channel` is otp, link or 2fa.
+const recordFailedCheck = async (channel, reason, email = null) => {
+  otpVerifications.inc({ channel, outcome: reason });
+  await recordAudit(`auth.${channel}.failed`, {
+    target: email && `email:${email}`,
+    outcome: 'failure',
+    details: { reason }
+  });
+};
+
+// Count a wrong code towards the lockout. Responds and returns true when the
+// email is now locked.
+const lockAfterFailure = async (res, email) => {
+  const failure = await otpThrottle.recordFailure(email);
+  if (failure.allowed) {
+    return false;
   }
-});
 
-// In-memory storage for OTPs (in production, use Redis or database)
-const otpStorage = new Map();
+  await recordAudit('auth.account.locked', {
+    target: `email:${email}`,
+    outcome: 'failure',
+    details: { retryAfter: failure.retryAfter }
+  });
+  sendThrottled(res, failure);
+  return true;
+};
 
 // Generate 6-digit OTP
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
+};
+
+// Shared checks before emailing a code or link (`channel` "otp" or "link").
+// Responds and returns null when the request must stop, otherwise returns the
+// per-email send allowance.
+const admitSend = async (req, res, email, channel) => {
+  // Only institutional addresses may sign up
+  if (!isAllowedEmail(email)) {
+    otpSends.inc({ channel, outcome: 'rejected' });
+    sendError(res, 403, 'Please use your college email address');
+    return null;
+  }
+
+  // Enforce the per-IP quota, then the email's resend cooldown and quota.
+  // Neither counts the send unless both allow it.
+  const limit = await otpThrottle.consumeSend(email, req.ip);
+  if (!limit.allowed) {
+    otpSends.inc({ channel, outcome: 'throttled' });
+    sendThrottled(res, limit);
+    return null;
+  }
+
+  return limit;
+};
+
+// Finish a verified sign-in: get or create the user, record the session and
+// respond with a custom token. Shared by the OTP, magic-link and 2FA flows,
+// and audited as auth.<method>.verified. Users with two-factor enabled get an
+// mfaToken to exchange at /2fa/verify unless the second factor has already
+// been checked.
+const completeSignIn = async (req, res, email, { method, deviceLabel, message, secondFactorVerified = false, details = {} }) => {
+  otpVerifications.inc({ channel: method, outcome: 'success' });
+
+  try {
+    // Get the existing user by email, or create a new one
+    const userRecord = await identity.findUserByEmail(email)
+      || await identity.createUser({
+        email: email,
+        emailVerified: true
+      });
+
+    // Make sure the user has a profile document, welcoming first-time users
+    const isNewUser = await ensureUserProfile(userRecord);
+    if (isNewUser) {
+      await recordAudit('auth.account.created', {
+        actor: userRecord.uid,
+        target: `user:${userRecord.uid}`
+      });
+      mailer.send('welcome', email, { name: email.split('@')[0] })
+        .catch(error => logger.error('Error sending welcome email', error));
+    }
+
+    // Hold back the token until the authenticator code is checked
+    if (!secondFactorVerified && await twoFactor.isTwoFactorEnabled(userRecord.uid)) {
+      const { token, nonce } = createLinkToken(email, config.authLinkSecret, {
+        ttlMs: MFA_TTL_MS,
+        purpose: 'mfa'
+      });
+      await mfaStore.save(email, nonce, { ttlMs: MFA_TTL_MS });
+
+      await recordAudit(`auth.${method}.verified`, {
+        actor: userRecord.uid,
+        target: `email:${email}`,
+        details: { ...details, mfaRequired: true }
+      });
+
+      return res.json({ 
+        success: true,
+        mfaRequired: true,
+        message: 'Enter the code from your authenticator app',
+        mfaToken: token,
+        expiresIn: MFA_TTL_MS / 1000
+      });
+    }
+
+    // Record the sign-in so it can be listed and revoked later
+    const sessionId = await createSession(userRecord.uid, {
+      deviceLabel,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    // A sign-in that passed 2FA counts as a fresh step-up
+    if (secondFactorVerified) {
+      await markStepUp(userRecord.uid, sessionId);
+    }
+
+    await recordAudit(`auth.${method}.verified`, {
+      actor: userRecord.uid,
+      target: `email:${email}`,
+      details: { ...details, sessionId }
+    });
+
+    // Create custom token for the user
+    const customToken = await identity.createCustomToken(userRecord.uid, {
+      email: email,
+      verified: true,
+      sessionId
+    });
+
+    res.json({ 
+      success: true,
+      message,
+      token: customToken,
+      sessionId,
+      user: {
+        id: userRecord.uid,
+        email: email,
+        name: email.split('@')[0]
+      }
+    });
+
+  } catch (firebaseError) {
+    logger.error('Error creating custom token', firebaseError);
+    sendError(res, 500, 'Failed to create authentication token');
+  }
 };
 
 // Send OTP email
-router.post('/send-otp', async (req, res) => {
+router.post('/send-otp', validate(schemas.sendOtp), async (req, res) => {
   try {
     const { email } = req.body;
 
-    // Validate email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!email || !emailRegex.test(email)) {
-      return res.status(400).json({ 
-        message: 'Please use a valid email address' 
-      });
+    const emailLimit = await admitSend(req, res, email, 'otp');
+    if (!emailLimit) {
+      return;
     }
 
     // Generate OTP
     const otp = generateOTP();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
 
-    // Store OTP
-    otpStorage.set(email, {
-      otp,
-      expiresAt,
-      attempts: 0
-    });
-
-    // Email content
-    const mailOptions = {
-      from: process.env.GMAIL_USER,
-      to: email,
-      subject: 'CEG Connect - Your OTP Code',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: linear-gradient(135deg, #36B3A1 0%, #6B5A5A 100%); padding: 20px; text-align: center;">
-            <h1 style="color: white; margin: 0;">CEG Connect</h1>
-            <p style="color: white; margin: 5px 0 0 0;">Your College Community</p>
-          </div>
-          
-          <div style="padding: 30px; background: #f9f9f9;">
-            <h2 style="color: #333; margin-bottom: 20px;">Your Verification Code</h2>
-            <p style="color: #666; margin-bottom: 30px;">
-              Use the following code to verify your email address:
-            </p>
-            
-            <div style="background: white; padding: 20px; border-radius: 8px; text-align: center; border: 2px solid #36B3A1;">
-              <h1 style="color: #36B3A1; font-size: 32px; margin: 0; letter-spacing: 5px;">${otp}</h1>
-            </div>
-            
-            <p style="color: #666; margin-top: 20px; font-size: 14px;">
-              This code will expire in 5 minutes. If you didn't request this code, please ignore this email.
-            </p>
-          </div>
-          
-          <div style="background: #333; color: white; padding: 20px; text-align: center; font-size: 12px;">
-            <p style="margin: 0;">© 2024 CEG Connect. College of Engineering, Guindy.</p>
-          </div>
-        </div>
-      `
-    };
+    // Store OTP (expires in 5 minutes)
+    await otpStore.save(email, otp);
 
     // Send email
-    await transporter.sendMail(mailOptions);
+    await mailer.send('otp', email, { otp, expiresInMinutes: 5 });
+
+    otpSends.inc({ channel: 'otp', outcome: 'sent' });
+    await recordAudit('auth.otp.sent', { target: `email:${email}` });
 
     res.json({ 
+      success: true,
       message: 'OTP sent successfully',
-      expiresIn: 300 // 5 minutes in seconds
+      email,
+      expiresIn: 300, // 5 minutes in seconds
+      resendAfter: emailLimit.resendAfter,
+      // DEMO_MODE is the only way an OTP is ever echoed back
+      ...(config.demoMode && { otp })
     });
 
   } catch (error) {
-    console.error('Error sending OTP:', error);
-    res.status(500).json({ 
-      message: 'Failed to send OTP. Please try again.' 
-    });
+    otpSends.inc({ channel: 'otp', outcome: 'error' });
+    logger.error('Error sending OTP', error);
+    sendError(res, 500, 'Failed to send OTP. Please try again.');
   }
 });
 
 // Verify OTP
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', validate(schemas.verifyOtp), async (req, res) => {
   try {
-    const { email, otp } = req.body;
+    const { email, otp, deviceLabel } = req.body;
 
-    // Validate input
-    if (!email || !otp) {
-      return res.status(400).json({ 
-        message: 'Email and OTP are required' 
-      });
+    if (!isAllowedEmail(email)) {
+      return sendError(res, 403, 'Please use your college email address');
     }
 
-    // Check if OTP exists
-    const storedData = otpStorage.get(email);
-    if (!storedData) {
-      return res.status(400).json({ 
-        message: 'OTP not found or expired' 
+    // Refuse verification while the email is locked out
+    const lock = await otpThrottle.checkLock(email);
+    if (!lock.allowed) {
+      otpVerifications.inc({ channel: 'otp', outcome: 'locked' });
+      return sendThrottled(res, lock);
+    }
+
+    // Check the code against the store (handles expiry and attempt limits)
+    const result = await otpStore.verify(email, otp);
+    if (!result.ok) {
+      await recordFailedCheck('otp', result.reason, email);
+
+      if (result.reason === 'invalid' && await lockAfterFailure(res, email)) {
+        return;
+      }
+
+      return sendError(res, 400, OTP_ERRORS[result.reason], {
+        code: `OTP_${result.reason.toUpperCase()}`
       });
     }
 
-    // Check if OTP is expired
-    if (new Date() > storedData.expiresAt) {
-      otpStorage.delete(email);
-      return res.status(400).json({ 
-        message: 'OTP has expired' 
+    await otpThrottle.recordSuccess(email);
+
+    // OTP is valid, sign the user in
+    await completeSignIn(req, res, email, {
+      method: 'otp',
+      deviceLabel,
+      message: 'OTP verified successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error verifying OTP', error);
+    sendError(res, 500, 'Failed to verify OTP. Please try again.');
+  }
+});
+
+// Email a single-use sign-in link
+router.post('/send-link', validate(schemas.sendLink), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const emailLimit = await admitSend(req, res, email, 'link');
+    if (!emailLimit) {
+      return;
+    }
+
+    // Sign the link and keep its nonce so it can only be used once
+    const { token, nonce } = createLinkToken(email, config.authLinkSecret);
+    await linkStore.save(email, nonce, { ttlMs: LINK_TTL_MS });
+
+    const link = `${config.magicLinkUrl}?token=${encodeURIComponent(token)}`;
+    await mailer.send('magicLink', email, { link, expiresInMinutes: LINK_TTL_MS / 60000 });
+
+    otpSends.inc({ channel: 'link', outcome: 'sent' });
+    await recordAudit('auth.link.sent', { target: `email:${email}` });
+
+    res.json({ 
+      success: true,
+      message: 'Sign-in link sent successfully',
+      email,
+      expiresIn: LINK_TTL_MS / 1000,
+      resendAfter: emailLimit.resendAfter,
+      ...(config.demoMode && { link })
+    });
+
+  } catch (error) {
+    otpSends.inc({ channel: 'link', outcome: 'error' });
+    logger.error('Error sending sign-in link', error);
+    sendError(res, 500, 'Failed to send sign-in link. Please try again.');
+  }
+});
+
+// Verify a sign-in link. The emailed link opens this with ?token=, and apps
+// that intercept the link can POST { token } instead.
+const verifyLink = async (req, res) => {
+  try {
+    const token = req.body?.token || req.query.token;
+    const deviceLabel = req.body?.deviceLabel;
+
+    const parsed = parseLinkToken(token, config.authLinkSecret);
+    if (!parsed) {
+      await recordFailedCheck('link', 'invalid_signature');
+      return sendError(res, 400, 'Invalid sign-in link', { code: 'LINK_INVALID' });
+    }
+
+    const { email, nonce, expired } = parsed;
+
+    if (expired) {
+      await recordFailedCheck('link', 'expired', email);
+      return sendError(res, 400, LINK_ERRORS.expired, { code: 'LINK_EXPIRED' });
+    }
+
+    if (!isAllowedEmail(email)) {
+      return sendError(res, 403, 'Please use your college email address');
+    }
+
+    // Refuse verification while the email is locked out
+    const lock = await otpThrottle.checkLock(email);
+    if (!lock.allowed) {
+      otpVerifications.inc({ channel: 'link', outcome: 'locked' });
+      return sendThrottled(res, lock);
+    }
+
+    // Consume the nonce: a link works once, and only the latest one does
+    const result = await linkStore.verify(email, nonce);
+    if (!result.ok) {
+      await recordFailedCheck('link', result.reason, email);
+      return sendError(res, 400, LINK_ERRORS[result.reason], {
+        code: result.reason === 'expired' ? 'LINK_EXPIRED' : 'LINK_USED'
       });
     }
 
-    // Check attempts
-    if (storedData.attempts >= 3) {
-      otpStorage.delete(email);
-      return res.status(400).json({ 
-        message: 'Too many failed attempts. Please request a new OTP.' 
+    await otpThrottle.recordSuccess(email);
+
+    await completeSignIn(req, res, email, {
+      method: 'link',
+      deviceLabel,
+      message: 'Sign-in link verified successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error verifying sign-in link', error);
+    sendError(res, 500, 'Failed to verify sign-in link. Please try again.');
+  }
+};
+
+router.get('/verify-link', validate(schemas.verifyLinkQuery), verifyLink);
+router.post('/verify-link', validate(schemas.verifyLinkBody), verifyLink);
+
+// ==================== TWO-FACTOR ====================
+
+// Second sign-in step for users with two-factor enabled
+router.post('/2fa/verify', validate(schemas.verifySecondFactor), async (req, res) => {
+  try {
+    const { mfaToken, code, deviceLabel } = req.body;
+
+    const parsed = parseLinkToken(mfaToken, config.authLinkSecret, 'mfa');
+    if (!parsed || parsed.expired) {
+      await recordFailedCheck('2fa', 'challenge_invalid', parsed?.email);
+      return sendError(res, 400, 'Sign-in challenge is invalid or has expired. Please sign in again.', {
+        code: 'MFA_CHALLENGE_INVALID'
       });
     }
 
-    // Verify OTP
-    if (storedData.otp !== otp) {
-      storedData.attempts++;
-      otpStorage.set(email, storedData);
-      return res.status(400).json({ 
-        message: 'Invalid OTP' 
+    const { email, nonce } = parsed;
+
+    const lock = await otpThrottle.checkLock(email);
+    if (!lock.allowed) {
+      otpVerifications.inc({ channel: '2fa', outcome: 'locked' });
+      return sendThrottled(res, lock);
+    }
+
+    // The challenge is single-use. Take it before checking the code, so a
+    // recovery code is never spent on a challenge that is already used.
+    const result = await mfaStore.verify(email, nonce);
+    if (!result.ok) {
+      await recordFailedCheck('2fa', 'challenge_used', email);
+      return sendError(res, 400, 'Sign-in challenge has already been used. Please sign in again.', {
+        code: 'MFA_CHALLENGE_INVALID'
       });
     }
 
-    // OTP is valid, get or create user
-    try {
-      let userRecord;
-      
-      try {
-        // Try to get existing user by email
-        userRecord = await admin.auth().getUserByEmail(email);
-      } catch (error) {
-        // User doesn't exist, create new user
-        userRecord = await admin.auth().createUser({
-          email: email,
-          emailVerified: true
-        });
+    const userRecord = await identity.findUserByEmail(email);
+    const method = userRecord && await twoFactor.verifySecondFactor(userRecord.uid, code);
+
+    if (!method) {
+      // A mistyped code keeps the challenge for the rest of its lifetime
+      await mfaStore.save(email, nonce, { ttlMs: parsed.expiresAt.getTime() - Date.now() });
+
+      await recordFailedCheck('2fa', 'invalid_code', email);
+      if (await lockAfterFailure(res, email)) {
+        return;
       }
+      return sendError(res, 400, 'Invalid authentication code', { code: 'INVALID_CODE' });
+    }
 
-      // Create custom token for the user
-      const customToken = await admin.auth().createCustomToken(userRecord.uid, {
-        email: email,
-        verified: true
-      });
+    await otpThrottle.recordSuccess(email);
 
-      // Clean up OTP
-      otpStorage.delete(email);
+    await completeSignIn(req, res, email, {
+      method: '2fa',
+      deviceLabel,
+      details: { factor: method },
+      message: method === 'recovery'
+        ? 'Signed in with a recovery code. Consider generating new ones.'
+        : 'Two-factor verification successful',
+      secondFactorVerified: true
+    });
 
-      res.json({ 
-        message: 'OTP verified successfully',
-        token: customToken
-      });
+  } catch (error) {
+    logger.error('Error verifying second factor', error);
+    sendError(res, 500, 'Failed to verify authentication code');
+  }
+});
+
+// Audit a wrong code from a signed-in user. `purpose` is the action the code
+// was meant to authorise.
+const auditWrongCode = (req, purpose) => {
+  return recordAudit('auth.2fa.failed', {
+    target: `user:${req.user.uid}`,
+    outcome: 'failure',
+    details: { reason: 'invalid_code', purpose }
+  });
+};
+
+const rejectCode = async (req, res, purpose) => {
+  await auditWrongCode(req, purpose);
+  return sendError(res, 400, 'Invalid authentication code', { code: 'INVALID_CODE' });
+};
+
+// Check a signed-in user's second factor for `purpose`, under the same
+// lockout as sign-in so these endpoints can't be used to guess codes.
+// Responds and returns null when the user is locked out or the code is
+// wrong, otherwise returns the factor used.
+const checkSecondFactor = async (req, res, purpose, options) => {
+  const { uid, email } = req.user;
+
+  const lock = await otpThrottle.checkLock(email);
+  if (!lock.allowed) {
+    otpVerifications.inc({ channel: '2fa', outcome: 'locked' });
+    sendThrottled(res, lock);
+    return null;
+  }
+
+  const method = await twoFactor.verifySecondFactor(uid, req.body.code, options);
+  if (!method) {
+    await auditWrongCode(req, purpose);
+    if (!(await lockAfterFailure(res, email))) {
+      sendError(res, 400, 'Invalid authentication code', { code: 'INVALID_CODE' });
+    }
+    return null;
+  }
+
+  await otpThrottle.recordSuccess(email);
+  return method;
+};
+
+// Two-factor status for the signed-in user
+router.get('/2fa', verifyToken, validate(schemas.twoFactorStatus), async (req, res) => {
+  try {
+    const settings = await twoFactor.getTwoFactor(req.user.uid);
+
+    res.json({
+      enabled: Boolean(settings?.enabled),
+      recoveryCodesRemaining: settings?.enabled ? settings.recoveryCodes?.length || 0 : 0
+    });
+  } catch (error) {
+    logger.error('Error fetching two-factor status', error);
+    sendError(res, 500, 'Failed to fetch two-factor status');
+  }
+});
 
-    } catch (firebaseError) {
-      console.error('Error creating custom token:', firebaseError);
-      res.status(500).json({ 
-        message: 'Failed to create authentication token' 
+// Start enrolment: returns the secret and an otpauth:// URI for a QR code
+router.post('/2fa/enroll', verifyToken, validate(schemas.enrollTwoFactor), async (req, res) => {
+  try {
+    const { uid, email } = req.user;
+
+    const enrollment = await twoFactor.beginEnrollment(uid, email);
+    if (!enrollment) {
+      return sendError(res, 409, 'Two-factor authentication is already enabled');
+    }
+
+    res.json(enrollment);
+  } catch (error) {
+    logger.error('Error starting two-factor enrolment', error);
+    sendError(res, 500, 'Failed to start two-factor enrolment');
+  }
+});
+
+// Confirm enrolment with a code from the app; returns one-time recovery codes
+router.post('/2fa/activate', verifyToken, validate(schemas.activateTwoFactor), async (req, res) => {
+  try {
+    const { uid, sessionId } = req.user;
+    const { code } = req.body;
+
+    const recoveryCodes = await twoFactor.activate(uid, code);
+    if (!recoveryCodes) {
+      return rejectCode(req, res, 'activate');
+    }
+
+    if (sessionId) {
+      await markStepUp(uid, sessionId);
+    }
+
+    await recordAudit('auth.2fa.enabled', { target: `user:${uid}` });
+
+    res.json({ 
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('Error activating two-factor', error);
+    sendError(res, 500, 'Failed to enable two-factor authentication');
+  }
+});
+
+// Re-confirm identity for sensitive actions guarded by requireStepUp
+router.post('/2fa/step-up', verifyToken, validate(schemas.stepUp), async (req, res) => {
+  try {
+    const { uid, sessionId } = req.user;
+
+    if (!sessionId) {
+      return sendError(res, 400, 'Please sign in again to continue');
+    }
+
+    if (!(await twoFactor.isTwoFactorEnabled(uid))) {
+      return sendError(res, 403, 'Enable two-factor authentication to perform this action', {
+        code: 'TWO_FACTOR_REQUIRED'
       });
     }
 
+    const method = await checkSecondFactor(req, res, 'step_up');
+    if (!method) {
+      return;
+    }
+
+    await markStepUp(uid, sessionId);
+
+    await recordAudit('auth.2fa.step_up', {
+      target: `session:${sessionId}`,
+      details: { factor: method }
+    });
+
+    res.json({ message: 'Verified' });
+  } catch (error) {
+    logger.error('Error during step-up', error);
+    sendError(res, 500, 'Failed to verify authentication code');
+  }
+});
+
+// Replace recovery codes (needs a current code)
+router.post('/2fa/recovery-codes', verifyToken, validate(schemas.regenerateRecoveryCodes), async (req, res) => {
+  try {
+    const { uid } = req.user;
+
+    if (!(await twoFactor.isTwoFactorEnabled(uid))) {
+      return sendError(res, 400, 'Two-factor authentication is not enabled');
+    }
+
+    const method = await checkSecondFactor(req, res, 'regenerate_recovery_codes', { allowRecovery: false });
+    if (!method) {
+      return;
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(uid);
+
+    await recordAudit('auth.2fa.recovery_codes_regenerated', { target: `user:${uid}` });
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
   } catch (error) {
-    console.error('Error verifying OTP:', error);
-    res.status(500).json({ 
-      message: 'Failed to verify OTP. Please try again.' 
+    logger.error('Error regenerating recovery codes', error);
+    sendError(res, 500, 'Failed to regenerate recovery codes');
+  }
+});
+
+// Turn two-factor off (needs a current or recovery code)
+router.post('/2fa/disable', verifyToken, validate(schemas.disableTwoFactor), async (req, res) => {
+  try {
+    const { uid } = req.user;
+
+    if (!(await twoFactor.isTwoFactorEnabled(uid))) {
+      return sendError(res, 400, 'Two-factor authentication is not enabled');
+    }
+
+    const method = await checkSecondFactor(req, res, 'disable');
+    if (!method) {
+      return;
+    }
+
+    await twoFactor.disable(uid);
+
+    await recordAudit('auth.2fa.disabled', {
+      target: `user:${uid}`,
+      details: { factor: method }
     });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    logger.error('Error disabling two-factor', error);
+    sendError(res, 500, 'Failed to disable two-factor authentication');
   }
 });
 
-// Clean up expired OTPs (run every 5 minutes)
-setInterval(() => {
-  const now = new Date();
-  for (const [email, data] of otpStorage.entries()) {
-    if (now > data.expiresAt) {
-      otpStorage.delete(email);
+// ==================== SESSIONS ====================
+
+// Log out: revoke the session this token belongs to
+router.post('/logout', verifyToken, validate(schemas.logout), async (req, res) => {
+  try {
+    const { uid, sessionId } = req.user;
+
+    if (sessionId) {
+      await revokeSession(uid, sessionId);
+      await recordAudit('auth.logout', { target: `session:${sessionId}` });
     }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('Error logging out', error);
+    sendError(res, 500, 'Failed to log out');
+  }
+});
+
+// List active sign-ins
+router.get('/sessions', verifyToken, validate(schemas.sessions), async (req, res) => {
+  try {
+    const { uid, sessionId } = req.user;
+
+    const sessions = await listSessions(uid);
+
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === sessionId
+    })));
+  } catch (error) {
+    logger.error('Error fetching sessions', error);
+    sendError(res, 500, 'Failed to fetch sessions');
+  }
+});
+
+// Sign out every device: revokes all refresh tokens and session records
+router.post('/sessions/revoke-all', verifyToken, validate(schemas.revokeAllSessions), async (req, res) => {
+  try {
+    const { uid } = req.user;
+
+    await identity.revokeRefreshTokens(uid);
+    const revoked = await revokeAllSessions(uid);
+
+    await recordAudit('auth.sessions.revoked_all', {
+      target: `user:${uid}`,
+      details: { revoked }
+    });
+
+    res.json({ message: 'All sessions revoked', revoked });
+  } catch (error) {
+    logger.error('Error revoking sessions', error);
+    sendError(res, 500, 'Failed to revoke sessions');
+  }
+});
+
+// Revoke a single sign-in, e.g. a lost phone
+router.delete('/sessions/:sessionId', verifyToken, validate(schemas.session), async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const { sessionId } = req.params;
+
+    const found = await revokeSession(uid, sessionId);
+    if (!found) {
+      return sendError(res, 404, 'Session not found');
+    }
+
+    await recordAudit('auth.session.revoked', { target: `session:${sessionId}` });
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    logger.error('Error revoking session', error);
+    sendError(res, 500, 'Failed to revoke session');
   }
-}, 5 * 60 * 1000);
+});
 
 module.exports = router;
 
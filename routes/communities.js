@@ -1,276 +1,988 @@
 const express = require('express');
-const admin = require('firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { hasPermission, communityRoleOf, canInCommunity, canPostIn } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { validate } = require('../middleware/validate');
+const { idempotent } = require('../middleware/idempotency');
+const { sendError } = require('../middleware/errors');
+const { logger } = require('../services/logger');
+const schemas = require('../schemas/communities');
+const { getRepositories } = require('../repositories');
+const { pageOptions, pageInMemory, toPage, sendPage } = require('../services/pagination');
+const { matchCategory } = require('../services/categories');
 const router = express.Router();
 
-// Middleware to verify Firebase token
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split('Bearer ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
-    }
+const { communities, categories, joinRequests, posts, pendingPosts, users, notifications } = getRepositories();
 
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    req.user = decodedToken;
-    next();
-  } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(401).json({ message: 'Invalid token' });
-  }
+// What a role in the community doesn't allow, e.g. rejectRole(res, 'edit it')
+const rejectRole = (res, action) => {
+  return sendError(res, 403, `Your role in this community does not allow you to ${action}`, {
+    code: 'INSUFFICIENT_PERMISSIONS'
+  });
+};
+
+// Archived communities are read-only
+const rejectArchived = (res) => {
+  return sendError(res, 409, 'Community is archived and read-only', { code: 'COMMUNITY_ARCHIVED' });
 };
 
+// Audit a moderation action, with the role the user acted in: owner,
+// moderator, or platform for platform moderators acting from outside
+const auditManage = (req, action, community, details = {}) => {
+  return recordAudit(`community.${action}`, {
+    target: `community:${community.id}`,
+    details: { ...details, actingAs: communityRoleOf(req.user, community) || 'platform' }
+  });
+};
+
+// Categories come from the managed list. Clients from before it send
+// free-text names ("Tech"), which resolve to the slug they match or null.
+const resolveCategory = async (value) => matchCategory(value, await categories.list());
+
+const rejectUnknownCategory = (res, field = 'body.category') => {
+  return sendError(res, 400, 'Unknown category', {
+    code: 'VALIDATION_ERROR',
+    fields: { [field]: 'Must be a category from GET /api/communities/categories' }
+  });
+};
+
+const displayName = (user) => user.name || user.email?.split('@')[0] || 'Anonymous';
+
+// Add what the signed-in user needs to know about the community
+const withViewer = (community, user) => ({
+  ...community,
+  isFollowing: community.followers?.includes(user.uid) || false,
+  canPost: canPostIn(user, community),
+  role: communityRoleOf(user, community)
+});
+
 // Get all communities
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', verifyToken, validate(schemas.list), async (req, res) => {
   try {
-    const { limit = 20, offset = 0, category } = req.query;
-
-    let communitiesQuery = admin.firestore()
-      .collection('communities')
-      .orderBy('createdAt', 'desc');
+    const { limit } = req.query;
+    const filter = req.query.category !== 'All' ? req.query.category : undefined;
+    const category = filter && await resolveCategory(filter);
 
-    if (category && category !== 'All') {
-      communitiesQuery = communitiesQuery.where('category', '==', category);
+    if (filter && !category) {
+      return rejectUnknownCategory(res, 'query.category');
     }
 
-    communitiesQuery = communitiesQuery
-      .limit(parseInt(limit))
-      .offset(parseInt(offset));
+    const results = await communities.list({
+      category,
+      ...pageOptions(req.query)
+    });
 
-    const snapshot = await communitiesQuery.get();
-    const communities = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      isFollowing: doc.data().followers?.includes(req.user.uid) || false
-    }));
+    const forViewer = results.map(community => withViewer(community, req.user));
+
+    sendPage(req, res, toPage(forViewer, limit, 'createdAt'));
+  } catch (error) {
+    logger.error('Error fetching communities', error);
+    sendError(res, 500, 'Failed to fetch communities');
+  }
+});
+
+// Get the categories with their community counts
+router.get('/categories', verifyToken, validate(schemas.categories), async (req, res) => {
+  try {
+    const results = await categories.list();
+
+    const counts = await Promise.all(results.map(category => communities.countInCategory(category.slug)));
 
-    res.json(communities);
+    res.json({
+      categories: results.map((category, index) => ({ ...category, communityCount: counts[index] }))
+    });
   } catch (error) {
-    console.error('Error fetching communities:', error);
-    res.status(500).json({ message: 'Failed to fetch communities' });
+    logger.error('Error fetching categories', error);
+    sendError(res, 500, 'Failed to fetch categories');
   }
 });
 
 // Get single community
-router.get('/:communityId', verifyToken, async (req, res) => {
+router.get('/:communityId', verifyToken, validate(schemas.community), async (req, res) => {
   try {
     const { communityId } = req.params;
 
-    const communityDoc = await admin.firestore()
-      .collection('communities')
-      .doc(communityId)
-      .get();
+    const [community, joinRequest] = await Promise.all([
+      communities.get(communityId),
+      joinRequests.get(communityId, req.user.uid)
+    ]);
 
-    if (!communityDoc.exists) {
-      return res.status(404).json({ message: 'Community not found' });
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
     }
 
-    const communityData = communityDoc.data();
-    res.json({
-      id: communityDoc.id,
-      ...communityData,
-      isFollowing: communityData.followers?.includes(req.user.uid) || false
-    });
+    res.json({ ...withViewer(community, req.user), joinRequested: Boolean(joinRequest) });
   } catch (error) {
-    console.error('Error fetching community:', error);
-    res.status(500).json({ message: 'Failed to fetch community' });
+    logger.error('Error fetching community', error);
+    sendError(res, 500, 'Failed to fetch community');
   }
 });
 
 // Create new community
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, validate(schemas.create), idempotent(), async (req, res) => {
   try {
     const { uid } = req.user;
-    const { name, description, category } = req.body;
+    const { name, description, restricted, requiresApproval } = req.body;
+    const category = await resolveCategory(req.body.category);
 
-    if (!name || !description || !category) {
-      return res.status(400).json({ message: 'Name, description, and category are required' });
+    if (!category) {
+      return rejectUnknownCategory(res);
     }
 
-    const communityData = {
+    const communityId = await communities.create({
       name,
       description,
       category,
+      restricted,
+      requiresApproval,
       followers: [uid],
+      members: [],
       admin: uid,
-      adminName: req.user.name || req.user.email?.split('@')[0] || 'Anonymous',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      adminName: displayName(req.user),
+      moderators: [],
+      moderatorInvites: [],
       postCount: 0
-    };
-
-    const communityRef = await admin.firestore()
-      .collection('communities')
-      .add(communityData);
+    });
 
     res.json({
-      id: communityRef.id,
+      id: communityId,
       message: 'Community created successfully'
     });
   } catch (error) {
-    console.error('Error creating community:', error);
-    res.status(500).json({ message: 'Failed to create community' });
+    logger.error('Error creating community', error);
+    sendError(res, 500, 'Failed to create community');
+  }
+});
+
+// Edit a community's name, description or category
+router.patch('/:communityId', verifyToken, validate(schemas.update), async (req, res) => {
+  try {
+    const { communityId } = req.params;
+    const changes = req.body;
+
+    if (Object.keys(changes).length === 0) {
+      return sendError(res, 400, 'Nothing to update', {
+        code: 'VALIDATION_ERROR',
+        fields: { body: 'Provide a name, description, category, restricted or requiresApproval' }
+      });
+    }
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'community:edit', community)) {
+      return rejectRole(res, 'edit it');
+    }
+
+    if (community.archived) {
+      return rejectArchived(res);
+    }
+
+    if (changes.category) {
+      changes.category = await resolveCategory(changes.category);
+      if (!changes.category) {
+        return rejectUnknownCategory(res);
+      }
+    }
+
+    await communities.update(communityId, changes);
+
+    await auditManage(req, 'updated', community, {
+      before: Object.fromEntries(Object.keys(changes).map(field => [field, community[field]])),
+      after: changes
+    });
+
+    const updated = await communities.get(communityId);
+
+    res.json({ message: 'Community updated', community: withViewer(updated, req.user) });
+  } catch (error) {
+    logger.error('Error updating community', error);
+    sendError(res, 500, 'Failed to update community');
+  }
+});
+
+// Archive a community: read-only and hidden from listings
+router.post('/:communityId/archive', verifyToken, validate(schemas.archive), async (req, res) => {
+  try {
+    const { communityId } = req.params;
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'community:archive', community)) {
+      return rejectRole(res, 'archive it');
+    }
+
+    if (community.archived) {
+      return sendError(res, 400, 'Community is already archived');
+    }
+
+    await communities.update(communityId, {
+      archived: true,
+      archivedAt: new Date(),
+      archivedBy: req.user.uid
+    });
+
+    await auditManage(req, 'archived', community);
+
+    const updated = await communities.get(communityId);
+
+    res.json({ message: 'Community archived', community: withViewer(updated, req.user) });
+  } catch (error) {
+    logger.error('Error archiving community', error);
+    sendError(res, 500, 'Failed to archive community');
+  }
+});
+
+// Restore an archived community
+router.post('/:communityId/unarchive', verifyToken, validate(schemas.unarchive), async (req, res) => {
+  try {
+    const { communityId } = req.params;
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'community:archive', community)) {
+      return rejectRole(res, 'unarchive it');
+    }
+
+    if (!community.archived) {
+      return sendError(res, 400, 'Community is not archived');
+    }
+
+    await communities.update(communityId, {
+      archived: false,
+      archivedAt: null,
+      archivedBy: null
+    });
+
+    await auditManage(req, 'unarchived', community);
+
+    const updated = await communities.get(communityId);
+
+    res.json({ message: 'Community restored', community: withViewer(updated, req.user) });
+  } catch (error) {
+    logger.error('Error unarchiving community', error);
+    sendError(res, 500, 'Failed to unarchive community');
+  }
+});
+
+// Delete a community with its posts and their comments
+router.delete('/:communityId', verifyToken, validate(schemas.remove), async (req, res) => {
+  try {
+    const { communityId } = req.params;
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'community:delete', community)) {
+      return rejectRole(res, 'delete it');
+    }
+
+    const removed = await communities.delete(communityId);
+
+    await auditManage(req, 'deleted', community, {
+      name: community.name,
+      admin: community.admin,
+      removed
+    });
+
+    res.json({ message: 'Community deleted', removed });
+  } catch (error) {
+    logger.error('Error deleting community', error);
+    sendError(res, 500, 'Failed to delete community');
+  }
+});
+
+// ==================== MODERATORS ====================
+
+// Invite a follower to co-moderate
+router.post('/:communityId/moderators', verifyToken, validate(schemas.inviteModerator), async (req, res) => {
+  try {
+    const { communityId } = req.params;
+    const { uid } = req.body;
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'community:moderators', community)) {
+      return rejectRole(res, 'manage its moderators');
+    }
+
+    if (community.archived) {
+      return rejectArchived(res);
+    }
+
+    if (!community.followers?.includes(uid)) {
+      return sendError(res, 400, 'Only followers of the community can be invited to moderate it');
+    }
+
+    if (communityRoleOf({ uid }, community)) {
+      return sendError(res, 409, 'Already the owner or a moderator of this community');
+    }
+
+    if (community.moderatorInvites?.includes(uid)) {
+      return sendError(res, 409, 'Already invited to moderate this community');
+    }
+
+    await communities.inviteModerator(communityId, uid);
+
+    await notifications.create(uid, {
+      type: 'moderator_invite',
+      message: `${displayName(req.user)} invited you to moderate ${community.name}`,
+      communityId
+    });
+
+    await auditManage(req, 'moderator.invited', community, { uid });
+
+    res.json({ message: 'Moderator invited' });
+  } catch (error) {
+    logger.error('Error inviting moderator', error);
+    sendError(res, 500, 'Failed to invite moderator');
+  }
+});
+
+// Accept an invitation to moderate
+router.post('/:communityId/moderators/accept', verifyToken, validate(schemas.acceptModeratorInvite), async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const { communityId } = req.params;
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!community.moderatorInvites?.includes(uid)) {
+      return sendError(res, 404, 'No invitation to moderate this community');
+    }
+
+    await communities.acceptModeratorInvite(communityId, uid);
+
+    await recordAudit('community.moderator.added', {
+      target: `community:${communityId}`,
+      details: { uid }
+    });
+
+    res.json({ message: 'You are now a moderator', role: 'moderator' });
+  } catch (error) {
+    logger.error('Error accepting moderator invite', error);
+    sendError(res, 500, 'Failed to accept invitation');
+  }
+});
+
+// Remove a moderator or withdraw an invitation; users may remove themselves
+router.delete('/:communityId/moderators/:uid', verifyToken, validate(schemas.removeModerator), async (req, res) => {
+  try {
+    const { communityId, uid } = req.params;
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    const self = uid === req.user.uid;
+    if (!self && !canInCommunity(req.user, 'community:moderators', community)) {
+      return rejectRole(res, 'manage its moderators');
+    }
+
+    const wasModerator = community.moderators?.includes(uid) || false;
+    if (!wasModerator && !community.moderatorInvites?.includes(uid)) {
+      return sendError(res, 404, 'Not a moderator of this community or invited to be one');
+    }
+
+    await communities.removeModerator(communityId, uid);
+
+    await auditManage(req, wasModerator ? 'moderator.removed' : 'moderator.invite_withdrawn', community, { uid });
+
+    res.json({ message: wasModerator ? 'Moderator removed' : 'Invitation withdrawn' });
+  } catch (error) {
+    logger.error('Error removing moderator', error);
+    sendError(res, 500, 'Failed to remove moderator');
+  }
+});
+
+// Hand the community to another user
+router.post('/:communityId/transfer', verifyToken, validate(schemas.transferOwnership), async (req, res) => {
+  try {
+    const { communityId } = req.params;
+    const { uid } = req.body;
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'community:transfer', community)) {
+      return rejectRole(res, 'transfer it');
+    }
+
+    if (uid === community.admin) {
+      return sendError(res, 400, 'Already the owner of this community');
+    }
+
+    // Owners hand over to someone who accepted a moderator invite. Platform
+    // moderators may also pick any follower, e.g. for a community whose
+    // owner deleted their account.
+    const eligible = community.moderators?.includes(uid)
+      || (hasPermission(req.user, 'communities:manage') && community.followers?.includes(uid));
+    if (!eligible) {
+      return sendError(res, 400, 'The new owner must be a moderator of this community');
+    }
+
+    const profile = await users.get(uid);
+    await communities.transferOwnership(communityId, { uid, name: profile?.name || 'Anonymous' });
+
+    await notifications.create(uid, {
+      type: 'community_ownership',
+      message: `You are now the owner of ${community.name}`,
+      communityId
+    });
+
+    await auditManage(req, 'ownership.transferred', community, { from: community.admin, to: uid });
+
+    const updated = await communities.get(communityId);
+
+    res.json({ message: 'Ownership transferred', community: withViewer(updated, req.user) });
+  } catch (error) {
+    logger.error('Error transferring community', error);
+    sendError(res, 500, 'Failed to transfer community');
+  }
+});
+
+// ==================== JOIN REQUESTS ====================
+
+// Ask to join a restricted community
+router.post('/:communityId/join-requests', verifyToken, validate(schemas.requestToJoin), async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const { communityId } = req.params;
+    const { message = '' } = req.body;
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (community.archived) {
+      return rejectArchived(res);
+    }
+
+    if (!community.restricted) {
+      return sendError(res, 400, 'This community is open to everyone; follow it to post');
+    }
+
+    if (canPostIn(req.user, community)) {
+      return sendError(res, 409, 'Already a member of this community');
+    }
+
+    const created = await joinRequests.create(communityId, uid, {
+      name: displayName(req.user),
+      photoURL: req.user.picture || null,
+      message
+    });
+
+    if (!created) {
+      return sendError(res, 409, 'You already asked to join this community');
+    }
+
+    res.json({ message: 'Join request sent' });
+  } catch (error) {
+    logger.error('Error requesting to join community', error);
+    sendError(res, 500, 'Failed to send join request');
+  }
+});
+
+// Get pending join requests
+router.get('/:communityId/join-requests', verifyToken, validate(schemas.listJoinRequests), async (req, res) => {
+  try {
+    const { communityId } = req.params;
+    const { limit } = req.query;
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'members:approve', community)) {
+      return rejectRole(res, 'review join requests');
+    }
+
+    const results = await joinRequests.list(communityId, pageOptions(req.query));
+
+    sendPage(req, res, toPage(results, limit, 'createdAt'));
+  } catch (error) {
+    logger.error('Error fetching join requests', error);
+    sendError(res, 500, 'Failed to fetch join requests');
+  }
+});
+
+// Approve a join request
+router.post('/:communityId/join-requests/:uid/approve', verifyToken, validate(schemas.approveJoinRequest), async (req, res) => {
+  try {
+    const { communityId, uid } = req.params;
+
+    const [community, joinRequest] = await Promise.all([
+      communities.get(communityId),
+      joinRequests.get(communityId, uid)
+    ]);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'members:approve', community)) {
+      return rejectRole(res, 'review join requests');
+    }
+
+    if (!joinRequest) {
+      return sendError(res, 404, 'No pending join request from this user');
+    }
+
+    if (community.archived) {
+      return rejectArchived(res);
+    }
+
+    await communities.addMember(communityId, uid);
+    await joinRequests.delete(communityId, uid);
+
+    await notifications.create(uid, {
+      type: 'join_request_approved',
+      message: `Your request to join ${community.name} was approved`,
+      communityId
+    });
+
+    await auditManage(req, 'member.approved', community, { uid });
+
+    res.json({ message: 'Join request approved' });
+  } catch (error) {
+    logger.error('Error approving join request', error);
+    sendError(res, 500, 'Failed to approve join request');
+  }
+});
+
+// Reject a join request
+router.post('/:communityId/join-requests/:uid/reject', verifyToken, validate(schemas.rejectJoinRequest), async (req, res) => {
+  try {
+    const { communityId, uid } = req.params;
+    const { reason } = req.body;
+
+    const [community, joinRequest] = await Promise.all([
+      communities.get(communityId),
+      joinRequests.get(communityId, uid)
+    ]);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'members:approve', community)) {
+      return rejectRole(res, 'review join requests');
+    }
+
+    if (!joinRequest) {
+      return sendError(res, 404, 'No pending join request from this user');
+    }
+
+    await joinRequests.delete(communityId, uid);
+
+    await notifications.create(uid, {
+      type: 'join_request_rejected',
+      message: reason
+        ? `Your request to join ${community.name} was declined: ${reason}`
+        : `Your request to join ${community.name} was declined`,
+      communityId
+    });
+
+    await auditManage(req, 'member.rejected', community, { uid, reason: reason || null });
+
+    res.json({ message: 'Join request rejected' });
+  } catch (error) {
+    logger.error('Error rejecting join request', error);
+    sendError(res, 500, 'Failed to reject join request');
   }
 });
 
 // Follow/Unfollow community
-router.post('/:communityId/follow', verifyToken, async (req, res) => {
+router.post('/:communityId/follow', verifyToken, validate(schemas.follow), async (req, res) => {
   try {
     const { uid } = req.user;
     const { communityId } = req.params;
 
-    const communityRef = admin.firestore().collection('communities').doc(communityId);
-    const communityDoc = await communityRef.get();
+    const community = await communities.get(communityId);
 
-    if (!communityDoc.exists) {
-      return res.status(404).json({ message: 'Community not found' });
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
     }
 
-    const communityData = communityDoc.data();
-    const isFollowing = communityData.followers?.includes(uid) || false;
+    const isFollowing = community.followers?.includes(uid) || false;
+
+    // Members can still leave an archived community, but nobody new can join
+    if (!isFollowing && community.archived) {
+      return rejectArchived(res);
+    }
 
     if (isFollowing) {
-      await communityRef.update({
-        followers: admin.firestore.FieldValue.arrayRemove(uid),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      await communities.removeFollower(communityId, uid);
       res.json({ message: 'Unfollowed community', isFollowing: false });
     } else {
-      await communityRef.update({
-        followers: admin.firestore.FieldValue.arrayUnion(uid),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      await communities.addFollower(communityId, uid);
       res.json({ message: 'Following community', isFollowing: true });
     }
   } catch (error) {
-    console.error('Error toggling follow:', error);
-    res.status(500).json({ message: 'Failed to update follow status' });
+    logger.error('Error toggling follow', error);
+    sendError(res, 500, 'Failed to update follow status');
   }
 });
 
 // Get community posts
-router.get('/:communityId/posts', verifyToken, async (req, res) => {
+router.get('/:communityId/posts', verifyToken, validate(schemas.listPosts), async (req, res) => {
   try {
     const { communityId } = req.params;
-    const { limit = 20, offset = 0 } = req.query;
-
-    const postsQuery = admin.firestore()
-      .collection('communities')
-      .doc(communityId)
-      .collection('posts')
-      .orderBy('timestamp', 'desc')
-      .limit(parseInt(limit))
-      .offset(parseInt(offset));
-
-    const snapshot = await postsQuery.get();
-    const posts = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      isLiked: doc.data().likes?.includes(req.user.uid) || false
+    const { limit, pinned } = req.query;
+
+    const withLikes = (results) => results.map(post => ({
+      ...post,
+      isLiked: post.likes?.includes(req.user.uid) || false
     }));
 
-    res.json(posts);
+    // A community only pins a handful of posts, so they are paged in memory
+    if (pinned) {
+      const pinnedPosts = await posts.listPinned(communityId);
+      return sendPage(req, res, pageInMemory(withLikes(pinnedPosts), req.query, 'timestamp'));
+    }
+
+    const results = await posts.list(communityId, pageOptions(req.query));
+
+    sendPage(req, res, toPage(withLikes(results), limit, 'timestamp'));
   } catch (error) {
-    console.error('Error fetching community posts:', error);
-    res.status(500).json({ message: 'Failed to fetch posts' });
+    logger.error('Error fetching community posts', error);
+    sendError(res, 500, 'Failed to fetch posts');
   }
 });
 
 // Create post in community
-router.post('/:communityId/posts', verifyToken, async (req, res) => {
+router.post('/:communityId/posts', verifyToken, validate(schemas.createPost), idempotent(), async (req, res) => {
   try {
     const { uid } = req.user;
     const { communityId } = req.params;
-    const { text, images = [] } = req.body;
+    const { text = '', images } = req.body;
 
-    if (!text && images.length === 0) {
-      return res.status(400).json({ message: 'Post content is required' });
+    if (!text.trim() && images.length === 0) {
+      return sendError(res, 400, 'Post content is required', {
+        code: 'VALIDATION_ERROR',
+        fields: { 'body.text': 'Text or images are required' }
+      });
     }
 
     // Check if user is following the community
-    const communityDoc = await admin.firestore()
-      .collection('communities')
-      .doc(communityId)
-      .get();
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
 
-    if (!communityDoc.exists) {
-      return res.status(404).json({ message: 'Community not found' });
+    if (community.archived) {
+      return rejectArchived(res);
     }
 
-    const communityData = communityDoc.data();
-    if (!communityData.followers?.includes(uid)) {
-      return res.status(403).json({ message: 'Must follow community to post' });
+    if (!canPostIn(req.user, community)) {
+      if (community.restricted) {
+        return sendError(res, 403, 'Only approved members can post in this community; ask to join first', {
+          code: 'MEMBERSHIP_REQUIRED'
+        });
+      }
+      return sendError(res, 403, 'Must follow community to post');
     }
 
-    const postData = {
+    const post = {
       text,
       images,
       author: uid,
-      authorName: req.user.name || req.user.email?.split('@')[0] || 'Anonymous',
-      authorPhoto: req.user.picture,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      authorName: displayName(req.user),
+      authorPhoto: req.user.picture || null,
       likes: [],
       comments: 0
     };
 
-    const postRef = await admin.firestore()
-      .collection('communities')
-      .doc(communityId)
-      .collection('posts')
-      .add(postData);
+    // Those who could approve the post don't wait for approval
+    if (community.requiresApproval && !canInCommunity(req.user, 'posts:approve', community)) {
+      const postId = await pendingPosts.create(communityId, post);
 
-    // Update community post count
-    await admin.firestore()
-      .collection('communities')
-      .doc(communityId)
-      .update({
-        postCount: admin.firestore.FieldValue.increment(1),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      return res.json({
+        id: postId,
+        status: 'pending',
+        message: 'Post sent for approval'
       });
+    }
+
+    const postId = await posts.create(communityId, post);
+
+    // Update community post count
+    await communities.incrementPostCount(communityId);
 
     res.json({
-      id: postRef.id,
+      id: postId,
+      status: 'published',
       message: 'Post created successfully'
     });
   } catch (error) {
-    console.error('Error creating post:', error);
-    res.status(500).json({ message: 'Failed to create post' });
+    logger.error('Error creating post', error);
+    sendError(res, 500, 'Failed to create post');
+  }
+});
+
+// ==================== POST APPROVAL ====================
+
+// Get posts waiting for approval
+router.get('/:communityId/pending-posts', verifyToken, validate(schemas.listPendingPosts), async (req, res) => {
+  try {
+    const { communityId } = req.params;
+    const { limit } = req.query;
+
+    const community = await communities.get(communityId);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'posts:approve', community)) {
+      return rejectRole(res, 'review posts');
+    }
+
+    const results = await pendingPosts.list(communityId, pageOptions(req.query));
+
+    sendPage(req, res, toPage(results, limit, 'timestamp'));
+  } catch (error) {
+    logger.error('Error fetching pending posts', error);
+    sendError(res, 500, 'Failed to fetch pending posts');
+  }
+});
+
+// Approve a pending post, with optional edits
+router.post('/:communityId/pending-posts/:postId/approve', verifyToken, validate(schemas.approvePost), async (req, res) => {
+  try {
+    const { communityId, postId } = req.params;
+    const edits = req.body;
+
+    const [community, pending] = await Promise.all([
+      communities.get(communityId),
+      pendingPosts.get(communityId, postId)
+    ]);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'posts:approve', community)) {
+      return rejectRole(res, 'review posts');
+    }
+
+    if (!pending) {
+      return sendError(res, 404, 'Pending post not found');
+    }
+
+    if (community.archived) {
+      return rejectArchived(res);
+    }
+
+    const { text = pending.text, images = pending.images } = edits;
+    if (!text.trim() && images.length === 0) {
+      return sendError(res, 400, 'Post content is required', {
+        code: 'VALIDATION_ERROR',
+        fields: { 'body.text': 'Text or images are required' }
+      });
+    }
+
+    const published = await pendingPosts.publish(communityId, postId, {
+      ...edits,
+      approvedBy: req.user.uid
+    });
+
+    // Another moderator got to it first
+    if (!published) {
+      return sendError(res, 404, 'Pending post not found');
+    }
+
+    await communities.incrementPostCount(communityId);
+
+    await notifications.create(pending.author, {
+      type: 'post_approved',
+      message: `Your post in ${community.name} was approved`,
+      communityId,
+      postId
+    });
+
+    await auditManage(req, 'post.approved', community, {
+      postId,
+      author: pending.author,
+      edited: Object.keys(edits)
+    });
+
+    res.json({ message: 'Post approved', id: postId });
+  } catch (error) {
+    logger.error('Error approving post', error);
+    sendError(res, 500, 'Failed to approve post');
+  }
+});
+
+// Reject a pending post
+router.post('/:communityId/pending-posts/:postId/reject', verifyToken, validate(schemas.rejectPost), async (req, res) => {
+  try {
+    const { communityId, postId } = req.params;
+    const { reason } = req.body;
+
+    const [community, pending] = await Promise.all([
+      communities.get(communityId),
+      pendingPosts.get(communityId, postId)
+    ]);
+
+    if (!community) {
+      return sendError(res, 404, 'Community not found');
+    }
+
+    if (!canInCommunity(req.user, 'posts:approve', community)) {
+      return rejectRole(res, 'review posts');
+    }
+
+    if (!pending) {
+      return sendError(res, 404, 'Pending post not found');
+    }
+
+    await pendingPosts.delete(communityId, postId);
+
+    await notifications.create(pending.author, {
+      type: 'post_rejected',
+      message: `Your post in ${community.name} was declined: ${reason}`,
+      communityId
+    });
+
+    await auditManage(req, 'post.rejected', community, { postId, author: pending.author, reason });
+
+    res.json({ message: 'Post rejected' });
+  } catch (error) {
+    logger.error('Error rejecting post', error);
+    sendError(res, 500, 'Failed to reject post');
+  }
+});
+
+// Remove a post and its comments
+router.delete('/:communityId/posts/:postId', verifyToken, validate(schemas.removePost), async (req, res) => {
+  try {
+    const { communityId, postId } = req.params;
+
+    const [community, post] = await Promise.all([
+      communities.get(communityId),
+      posts.get(communityId, postId)
+    ]);
+    if (!post) {
+      return sendError(res, 404, 'Post not found');
+    }
+
+    const isAuthor = post.author === req.user.uid;
+    if (!isAuthor && !canInCommunity(req.user, 'posts:remove', community)) {
+      return rejectRole(res, 'remove posts');
+    }
+
+    const removed = await posts.delete(communityId, postId);
+    await communities.incrementPostCount(communityId, -1);
+
+    // Authors removing their own posts isn't moderation
+    if (!isAuthor) {
+      await auditManage(req, 'post.removed', community, { postId, author: post.author, ...removed });
+    }
+
+    res.json({ message: 'Post removed', removed });
+  } catch (error) {
+    logger.error('Error removing post', error);
+    sendError(res, 500, 'Failed to remove post');
+  }
+});
+
+// Pin/Unpin post
+router.post('/:communityId/posts/:postId/pin', verifyToken, validate(schemas.pin), async (req, res) => {
+  try {
+    const { communityId, postId } = req.params;
+
+    const [community, post] = await Promise.all([
+      communities.get(communityId),
+      posts.get(communityId, postId)
+    ]);
+    if (!post) {
+      return sendError(res, 404, 'Post not found');
+    }
+
+    if (!canInCommunity(req.user, 'posts:pin', community)) {
+      return rejectRole(res, 'pin posts');
+    }
+
+    if (community.archived) {
+      return rejectArchived(res);
+    }
+
+    if (post.pinned) {
+      await posts.update(communityId, postId, { pinned: false, pinnedAt: null, pinnedBy: null });
+      res.json({ message: 'Post unpinned', pinned: false });
+    } else {
+      await posts.update(communityId, postId, { pinned: true, pinnedAt: new Date(), pinnedBy: req.user.uid });
+      res.json({ message: 'Post pinned', pinned: true });
+    }
+  } catch (error) {
+    logger.error('Error toggling pin', error);
+    sendError(res, 500, 'Failed to update pin status');
   }
 });
 
 // Like/Unlike post
-router.post('/:communityId/posts/:postId/like', verifyToken, async (req, res) => {
+router.post('/:communityId/posts/:postId/like', verifyToken, validate(schemas.like), async (req, res) => {
   try {
     const { uid } = req.user;
     const { communityId, postId } = req.params;
 
-    const postRef = admin.firestore()
-      .collection('communities')
-      .doc(communityId)
-      .collection('posts')
-      .doc(postId);
+    const [community, post] = await Promise.all([
+      communities.get(communityId),
+      posts.get(communityId, postId)
+    ]);
+    if (!post) {
+      return sendError(res, 404, 'Post not found');
+    }
 
-    const postDoc = await postRef.get();
-    if (!postDoc.exists) {
-      return res.status(404).json({ message: 'Post not found' });
+    if (community?.archived) {
+      return rejectArchived(res);
     }
 
-    const postData = postDoc.data();
-    const isLiked = postData.likes?.includes(uid) || false;
+    const isLiked = post.likes?.includes(uid) || false;
 
     if (isLiked) {
-      await postRef.update({
-        likes: admin.firestore.FieldValue.arrayRemove(uid)
-      });
+      await posts.removeLike(communityId, postId, uid);
       res.json({ message: 'Post unliked', isLiked: false });
     } else {
-      await postRef.update({
-        likes: admin.firestore.FieldValue.arrayUnion(uid)
-      });
+      await posts.addLike(communityId, postId, uid);
       res.json({ message: 'Post liked', isLiked: true });
     }
   } catch (error) {
-    console.error('Error toggling like:', error);
-    res.status(500).json({ message: 'Failed to update like status' });
+    logger.error('Error toggling like', error);
+    sendError(res, 500, 'Failed to update like status');
   }
 });
 
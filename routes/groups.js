@@ -1,276 +1,287 @@
 const express = require('express');
-const admin = require('firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { canInGroup } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { validate } = require('../middleware/validate');
+const { idempotent } = require('../middleware/idempotency');
+const { sendError } = require('../middleware/errors');
+const { logger } = require('../services/logger');
+const schemas = require('../schemas/groups');
+const { getRepositories } = require('../repositories');
+const { pageOptions, toPage, sendPage } = require('../services/pagination');
 const router = express.Router();
 
-// Middleware to verify Firebase token
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split('Bearer ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
-    }
+const { groups, messages } = getRepositories();
 
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    req.user = decodedToken;
-    next();
-  } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(401).json({ message: 'Invalid token' });
-  }
+const rejectNotAdmin = (res, action) => {
+  return sendError(res, 403, `Only the group's admin or a platform moderator may ${action}`, {
+    code: 'INSUFFICIENT_PERMISSIONS'
+  });
+};
+
+// Audit what admins and platform moderators do to a group
+const auditManage = (req, action, group, details = {}) => {
+  return recordAudit(`group.${action}`, {
+    target: `group:${group.id}`,
+    details: { ...details, actingAs: group.admin === req.user.uid ? 'admin' : 'platform' }
+  });
 };
 
 // Get all groups
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', verifyToken, validate(schemas.list), async (req, res) => {
   try {
-    const { limit = 20, offset = 0 } = req.query;
-
-    const groupsQuery = admin.firestore()
-      .collection('groups')
-      .orderBy('createdAt', 'desc')
-      .limit(parseInt(limit))
-      .offset(parseInt(offset));
-
-    const snapshot = await groupsQuery.get();
-    const groups = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    const results = await groups.list(pageOptions(req.query));
 
-    res.json(groups);
+    sendPage(req, res, toPage(results, req.query.limit, 'createdAt'));
   } catch (error) {
-    console.error('Error fetching groups:', error);
-    res.status(500).json({ message: 'Failed to fetch groups' });
+    logger.error('Error fetching groups', error);
+    sendError(res, 500, 'Failed to fetch groups');
   }
 });
 
 // Get single group
-router.get('/:groupId', verifyToken, async (req, res) => {
+router.get('/:groupId', verifyToken, validate(schemas.group), async (req, res) => {
   try {
     const { groupId } = req.params;
 
-    const groupDoc = await admin.firestore()
-      .collection('groups')
-      .doc(groupId)
-      .get();
+    const group = await groups.get(groupId);
 
-    if (!groupDoc.exists) {
-      return res.status(404).json({ message: 'Group not found' });
+    if (!group) {
+      return sendError(res, 404, 'Group not found');
     }
 
-    res.json({
-      id: groupDoc.id,
-      ...groupDoc.data()
-    });
+    res.json(group);
   } catch (error) {
-    console.error('Error fetching group:', error);
-    res.status(500).json({ message: 'Failed to fetch group' });
+    logger.error('Error fetching group', error);
+    sendError(res, 500, 'Failed to fetch group');
   }
 });
 
 // Create new group
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, validate(schemas.create), idempotent(), async (req, res) => {
   try {
     const { uid } = req.user;
-    const { name, description, isPrivate = false } = req.body;
-
-    if (!name || !description) {
-      return res.status(400).json({ message: 'Name and description are required' });
-    }
+    const { name, description, isPrivate } = req.body;
 
-    const groupData = {
+    const groupId = await groups.create({
       name,
       description,
       isPrivate,
       members: [uid],
-      admin: uid,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    const groupRef = await admin.firestore()
-      .collection('groups')
-      .add(groupData);
+      admin: uid
+    });
 
     res.json({
-      id: groupRef.id,
+      id: groupId,
       message: 'Group created successfully'
     });
   } catch (error) {
-    console.error('Error creating group:', error);
-    res.status(500).json({ message: 'Failed to create group' });
+    logger.error('Error creating group', error);
+    sendError(res, 500, 'Failed to create group');
+  }
+});
+
+// Edit a group's name, description or privacy
+router.patch('/:groupId', verifyToken, validate(schemas.update), async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const changes = req.body;
+
+    if (Object.keys(changes).length === 0) {
+      return sendError(res, 400, 'Nothing to update', {
+        code: 'VALIDATION_ERROR',
+        fields: { body: 'Provide a name, description or isPrivate' }
+      });
+    }
+
+    const group = await groups.get(groupId);
+
+    if (!group) {
+      return sendError(res, 404, 'Group not found');
+    }
+
+    if (!canInGroup(req.user, 'group:edit', group)) {
+      return rejectNotAdmin(res, 'edit it');
+    }
+
+    await groups.update(groupId, changes);
+
+    await auditManage(req, 'updated', group, {
+      before: Object.fromEntries(Object.keys(changes).map(field => [field, group[field]])),
+      after: changes
+    });
+
+    res.json({ message: 'Group updated', group: await groups.get(groupId) });
+  } catch (error) {
+    logger.error('Error updating group', error);
+    sendError(res, 500, 'Failed to update group');
   }
 });
 
 // Join group
-router.post('/:groupId/join', verifyToken, async (req, res) => {
+router.post('/:groupId/join', verifyToken, validate(schemas.join), async (req, res) => {
   try {
     const { uid } = req.user;
     const { groupId } = req.params;
 
-    const groupRef = admin.firestore().collection('groups').doc(groupId);
-    const groupDoc = await groupRef.get();
+    const group = await groups.get(groupId);
 
-    if (!groupDoc.exists) {
-      return res.status(404).json({ message: 'Group not found' });
+    if (!group) {
+      return sendError(res, 404, 'Group not found');
     }
 
-    const groupData = groupDoc.data();
-    
-    if (groupData.members.includes(uid)) {
-      return res.status(400).json({ message: 'Already a member of this group' });
+    if (group.members.includes(uid)) {
+      return sendError(res, 400, 'Already a member of this group');
     }
 
-    await groupRef.update({
-      members: admin.firestore.FieldValue.arrayUnion(uid),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    await groups.addMember(groupId, uid);
 
     res.json({ message: 'Successfully joined group' });
   } catch (error) {
-    console.error('Error joining group:', error);
-    res.status(500).json({ message: 'Failed to join group' });
+    logger.error('Error joining group', error);
+    sendError(res, 500, 'Failed to join group');
   }
 });
 
 // Leave group
-router.post('/:groupId/leave', verifyToken, async (req, res) => {
+router.post('/:groupId/leave', verifyToken, validate(schemas.leave), async (req, res) => {
   try {
     const { uid } = req.user;
     const { groupId } = req.params;
 
-    const groupRef = admin.firestore().collection('groups').doc(groupId);
-    const groupDoc = await groupRef.get();
+    const group = await groups.get(groupId);
 
-    if (!groupDoc.exists) {
-      return res.status(404).json({ message: 'Group not found' });
+    if (!group) {
+      return sendError(res, 404, 'Group not found');
     }
 
-    const groupData = groupDoc.data();
-    
-    if (!groupData.members.includes(uid)) {
-      return res.status(400).json({ message: 'Not a member of this group' });
+    if (!group.members.includes(uid)) {
+      return sendError(res, 400, 'Not a member of this group');
     }
 
-    if (groupData.admin === uid) {
-      return res.status(400).json({ message: 'Admin cannot leave the group' });
+    if (group.admin === uid) {
+      return sendError(res, 400, 'Admin cannot leave the group');
     }
 
-    await groupRef.update({
-      members: admin.firestore.FieldValue.arrayRemove(uid),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    await groups.removeMember(groupId, uid);
 
     res.json({ message: 'Successfully left group' });
   } catch (error) {
-    console.error('Error leaving group:', error);
-    res.status(500).json({ message: 'Failed to leave group' });
+    logger.error('Error leaving group', error);
+    sendError(res, 500, 'Failed to leave group');
+  }
+});
+
+// Remove a member from a group
+router.delete('/:groupId/members/:uid', verifyToken, validate(schemas.removeMember), async (req, res) => {
+  try {
+    const { groupId, uid } = req.params;
+
+    const group = await groups.get(groupId);
+
+    if (!group) {
+      return sendError(res, 404, 'Group not found');
+    }
+
+    if (!canInGroup(req.user, 'group:members', group)) {
+      return rejectNotAdmin(res, 'remove its members');
+    }
+
+    if (!group.members.includes(uid)) {
+      return sendError(res, 404, 'Not a member of this group');
+    }
+
+    if (group.admin === uid) {
+      return sendError(res, 400, 'The admin cannot be removed from the group');
+    }
+
+    await groups.removeMember(groupId, uid);
+
+    await auditManage(req, 'member.removed', group, { uid });
+
+    res.json({ message: 'Member removed' });
+  } catch (error) {
+    logger.error('Error removing group member', error);
+    sendError(res, 500, 'Failed to remove member');
   }
 });
 
 // Get group messages
-router.get('/:groupId/messages', verifyToken, async (req, res) => {
+router.get('/:groupId/messages', verifyToken, validate(schemas.listMessages), async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
 
     // Check if user is a member of the group
-    const groupDoc = await admin.firestore()
-      .collection('groups')
-      .doc(groupId)
-      .get();
+    const group = await groups.get(groupId);
 
-    if (!groupDoc.exists) {
-      return res.status(404).json({ message: 'Group not found' });
+    if (!group) {
+      return sendError(res, 404, 'Group not found');
     }
 
-    const groupData = groupDoc.data();
-    if (!groupData.members.includes(req.user.uid)) {
-      return res.status(403).json({ message: 'Not a member of this group' });
+    if (!group.members.includes(req.user.uid)) {
+      return sendError(res, 403, 'Not a member of this group');
     }
 
-    const messagesQuery = admin.firestore()
-      .collection('groups')
-      .doc(groupId)
-      .collection('messages')
-      .orderBy('timestamp', 'desc')
-      .limit(parseInt(limit))
-      .offset(parseInt(offset));
-
-    const snapshot = await messagesQuery.get();
-    const messages = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-
-    res.json(messages);
+    const results = await messages.list(groupId, pageOptions(req.query));
+
+    sendPage(req, res, toPage(results, req.query.limit, 'timestamp'));
   } catch (error) {
-    console.error('Error fetching group messages:', error);
-    res.status(500).json({ message: 'Failed to fetch messages' });
+    logger.error('Error fetching group messages', error);
+    sendError(res, 500, 'Failed to fetch messages');
   }
 });
 
 // Send message to group
-router.post('/:groupId/messages', verifyToken, async (req, res) => {
+router.post('/:groupId/messages', verifyToken, validate(schemas.sendMessage), idempotent(), async (req, res) => {
   try {
     const { uid } = req.user;
     const { groupId } = req.params;
-    const { text, type = 'text', fileUrl, fileName } = req.body;
+    const { text = '', type, fileUrl, fileName } = req.body;
 
-    if (!text && !fileUrl) {
-      return res.status(400).json({ message: 'Message content is required' });
+    if (!text.trim() && !fileUrl) {
+      return sendError(res, 400, 'Message content is required', {
+        code: 'VALIDATION_ERROR',
+        fields: { 'body.text': 'Text or a file is required' }
+      });
     }
 
     // Check if user is a member of the group
-    const groupDoc = await admin.firestore()
-      .collection('groups')
-      .doc(groupId)
-      .get();
+    const group = await groups.get(groupId);
 
-    if (!groupDoc.exists) {
-      return res.status(404).json({ message: 'Group not found' });
+    if (!group) {
+      return sendError(res, 404, 'Group not found');
     }
 
-    const groupData = groupDoc.data();
-    if (!groupData.members.includes(uid)) {
-      return res.status(403).json({ message: 'Not a member of this group' });
+    if (!group.members.includes(uid)) {
+      return sendError(res, 403, 'Not a member of this group');
     }
 
-    const messageData = {
-      text: text || `Shared a file: ${fileName}`,
+    const messageText = text || `Shared a file: ${fileName}`;
+
+    const messageId = await messages.create(groupId, {
+      text: messageText,
       author: uid,
       type,
-      fileUrl,
-      fileName,
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    const messageRef = await admin.firestore()
-      .collection('groups')
-      .doc(groupId)
-      .collection('messages')
-      .add(messageData);
+      fileUrl: fileUrl || null,
+      fileName: fileName || null
+    });
 
     // Update group's last message
-    await admin.firestore()
-      .collection('groups')
-      .doc(groupId)
-      .update({
-        lastMessage: {
-          text: messageData.text,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          author: uid
-        },
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+    await groups.update(groupId, {
+      lastMessage: {
+        text: messageText,
+        timestamp: new Date(),
+        author: uid
+      }
+    });
 
     res.json({
-      id: messageRef.id,
+      id: messageId,
       message: 'Message sent successfully'
     });
   } catch (error) {
-    console.error('Error sending message:', error);
-    res.status(500).json({ message: 'Failed to send message' });
+    logger.error('Error sending message', error);
+    sendError(res, 500, 'Failed to send message');
   }
 });
 
@@ -1,303 +1,208 @@
 const express = require('express');
-const admin = require('firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { canPostIn } = require('../services/permissions');
+const { validate } = require('../middleware/validate');
+const { idempotent } = require('../middleware/idempotency');
+const { sendError } = require('../middleware/errors');
+const { logger } = require('../services/logger');
+const schemas = require('../schemas/posts');
+const { getRepositories } = require('../repositories');
+const { pageOptions, pageInMemory, positionOf, toPage, sendPage } = require('../services/pagination');
 const router = express.Router();
 
-// Middleware to verify Firebase token
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split('Bearer ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
-    }
+const { communities, posts, comments } = getRepositories();
 
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    req.user = decodedToken;
-    next();
-  } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(401).json({ message: 'Invalid token' });
-  }
+// Trending ranks the last day's posts by likes, newest first among equals
+const TRENDING_WINDOW_MS = 24 * 60 * 60 * 1000;
+const byLikes = (post) => [post.likes?.length || 0, post.timestamp];
+
+// Search reads posts in batches until it has enough matches
+const SEARCH_BATCH_SIZE = 200;
+
+const withCommunity = (post, community, uid) => ({
+  ...post,
+  communityName: community.name,
+  isLiked: post.likes?.includes(uid) || false
+});
+
+// How many of a community's newest posts a merged page can need. With a cursor
+// the repository skips straight past it; the deprecated offset has to read
+// everything before the page.
+const perCommunityPage = ({ limit, cursor, offset = 0 }) => {
+  return cursor ? pageOptions({ limit, cursor }) : { limit: offset + limit + 1 };
 };
 
 // Get feed posts
-router.get('/feed', verifyToken, async (req, res) => {
+router.get('/feed', verifyToken, validate(schemas.feed), async (req, res) => {
   try {
     const { uid } = req.user;
-    const { limit = 20, offset = 0, filter = 'all' } = req.query;
-
-    // Get user's followed communities
-    const communitiesQuery = admin.firestore()
-      .collection('communities')
-      .where('followers', 'array-contains', uid);
-
-    const communitiesSnapshot = await communitiesQuery.get();
-    const followedCommunityIds = communitiesSnapshot.docs.map(doc => doc.id);
+    const { filter } = req.query;
 
-    if (followedCommunityIds.length === 0) {
-      return res.json([]);
-    }
+    // Get user's followed communities, leaving out archived ones
+    const followedCommunities = (await communities.listFollowedBy(uid)).filter(community => !community.archived);
 
     // Get posts from followed communities
     const allPosts = [];
     
-    for (const communityId of followedCommunityIds) {
-      let postsQuery = admin.firestore()
-        .collection('communities')
-        .doc(communityId)
-        .collection('posts')
-        .orderBy('timestamp', 'desc');
-
-      if (filter === 'trending') {
-        // Get posts from last 24 hours
-        const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-        postsQuery = postsQuery.where('timestamp', '>=', oneDayAgo);
-      }
-
-      const postsSnapshot = await postsQuery.limit(parseInt(limit)).get();
+    for (const community of followedCommunities) {
+      // Trending ranks by likes, so it needs every post from the window
+      const communityPosts = filter === 'trending'
+        ? await posts.list(community.id, { since: new Date(Date.now() - TRENDING_WINDOW_MS) })
+        : await posts.list(community.id, perCommunityPage(req.query));
       
-      postsSnapshot.docs.forEach(doc => {
-        allPosts.push({
-          id: doc.id,
-          communityId,
-          communityName: communitiesSnapshot.docs.find(c => c.id === communityId)?.data().name,
-          ...doc.data(),
-          isLiked: doc.data().likes?.includes(uid) || false
-        });
-      });
-    }
-
-    // Sort posts
-    if (filter === 'trending') {
-      allPosts.sort((a, b) => (b.likes?.length || 0) - (a.likes?.length || 0));
-    } else {
-      allPosts.sort((a, b) => b.timestamp?.toDate() - a.timestamp?.toDate());
+      communityPosts.forEach(post => allPosts.push(withCommunity(post, community, uid)));
     }
 
-    // Apply pagination
-    const paginatedPosts = allPosts.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
-
-    res.json(paginatedPosts);
+    sendPage(req, res, pageInMemory(allPosts, req.query, filter === 'trending' ? byLikes : 'timestamp'));
   } catch (error) {
-    console.error('Error fetching feed:', error);
-    res.status(500).json({ message: 'Failed to fetch feed' });
+    logger.error('Error fetching feed', error);
+    sendError(res, 500, 'Failed to fetch feed');
   }
 });
 
 // Get trending posts
-router.get('/trending', verifyToken, async (req, res) => {
+router.get('/trending', verifyToken, validate(schemas.trending), async (req, res) => {
   try {
-    const { limit = 20, offset = 0 } = req.query;
-
     // Get posts from last 24 hours with most likes
-    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const since = new Date(Date.now() - TRENDING_WINDOW_MS);
     
-    const communitiesQuery = admin.firestore()
-      .collection('communities');
-
-    const communitiesSnapshot = await communitiesQuery.get();
+    const allCommunities = await communities.list();
     const allPosts = [];
 
-    for (const communityDoc of communitiesSnapshot.docs) {
-      const postsQuery = admin.firestore()
-        .collection('communities')
-        .doc(communityDoc.id)
-        .collection('posts')
-        .where('timestamp', '>=', oneDayAgo)
-        .orderBy('timestamp', 'desc');
-
-      const postsSnapshot = await postsQuery.get();
+    for (const community of allCommunities) {
+      const communityPosts = await posts.list(community.id, { since });
       
-      postsSnapshot.docs.forEach(doc => {
-        allPosts.push({
-          id: doc.id,
-          communityId: communityDoc.id,
-          communityName: communityDoc.data().name,
-          ...doc.data(),
-          isLiked: doc.data().likes?.includes(req.user.uid) || false
-        });
-      });
+      communityPosts.forEach(post => allPosts.push(withCommunity(post, community, req.user.uid)));
     }
 
-    // Sort by likes count
-    allPosts.sort((a, b) => (b.likes?.length || 0) - (a.likes?.length || 0));
-
-    // Apply pagination
-    const paginatedPosts = allPosts.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
-
-    res.json(paginatedPosts);
+    sendPage(req, res, pageInMemory(allPosts, req.query, byLikes));
   } catch (error) {
-    console.error('Error fetching trending posts:', error);
-    res.status(500).json({ message: 'Failed to fetch trending posts' });
+    logger.error('Error fetching trending posts', error);
+    sendError(res, 500, 'Failed to fetch trending posts');
   }
 });
 
 // Search posts
-router.get('/search', verifyToken, async (req, res) => {
+router.get('/search', verifyToken, validate(schemas.search), async (req, res) => {
   try {
-    const { q, limit = 20, offset = 0 } = req.query;
-
-    if (!q || q.trim().length < 2) {
-      return res.status(400).json({ message: 'Search query must be at least 2 characters' });
-    }
+    const { q } = req.query;
 
     const searchTerm = q.toLowerCase().trim();
+    const { limit: wanted, after } = perCommunityPage(req.query);
     
-    // Search in all communities
-    const communitiesQuery = admin.firestore()
-      .collection('communities');
-
-    const communitiesSnapshot = await communitiesQuery.get();
+    // Search in all communities, newest posts first
+    const allCommunities = await communities.list();
     const matchingPosts = [];
 
-    for (const communityDoc of communitiesSnapshot.docs) {
-      const postsQuery = admin.firestore()
-        .collection('communities')
-        .doc(communityDoc.id)
-        .collection('posts')
-        .orderBy('timestamp', 'desc');
+    for (const community of allCommunities) {
+      let position = after;
+      let found = 0;
 
-      const postsSnapshot = await postsQuery.get();
-      
-      postsSnapshot.docs.forEach(doc => {
-        const postData = doc.data();
-        const text = postData.text?.toLowerCase() || '';
-        
-        if (text.includes(searchTerm)) {
-          matchingPosts.push({
-            id: doc.id,
-            communityId: communityDoc.id,
-            communityName: communityDoc.data().name,
-            ...postData,
-            isLiked: postData.likes?.includes(req.user.uid) || false
-          });
-        }
-      });
-    }
+      while (found < wanted) {
+        const batch = await posts.list(community.id, { after: position, limit: SEARCH_BATCH_SIZE });
+        const matches = batch
+          .filter(post => post.text?.toLowerCase().includes(searchTerm))
+          .slice(0, wanted - found);
 
-    // Sort by timestamp
-    matchingPosts.sort((a, b) => b.timestamp?.toDate() - a.timestamp?.toDate());
+        matches.forEach(post => matchingPosts.push(withCommunity(post, community, req.user.uid)));
+        found += matches.length;
 
-    // Apply pagination
-    const paginatedPosts = matchingPosts.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+        if (batch.length < SEARCH_BATCH_SIZE) {
+          break;
+        }
+        position = positionOf(batch[batch.length - 1], 'timestamp');
+      }
+    }
 
-    res.json(paginatedPosts);
+    sendPage(req, res, pageInMemory(matchingPosts, req.query, 'timestamp'));
   } catch (error) {
-    console.error('Error searching posts:', error);
-    res.status(500).json({ message: 'Failed to search posts' });
+    logger.error('Error searching posts', error);
+    sendError(res, 500, 'Failed to search posts');
   }
 });
 
 // Get post details
-router.get('/:postId', verifyToken, async (req, res) => {
+router.get('/:postId', verifyToken, validate(schemas.post), async (req, res) => {
   try {
     const { postId } = req.params;
     const { communityId } = req.query;
 
-    if (!communityId) {
-      return res.status(400).json({ message: 'Community ID is required' });
-    }
-
-    const postDoc = await admin.firestore()
-      .collection('communities')
-      .doc(communityId)
-      .collection('posts')
-      .doc(postId)
-      .get();
+    const post = await posts.get(communityId, postId);
 
-    if (!postDoc.exists) {
-      return res.status(404).json({ message: 'Post not found' });
+    if (!post) {
+      return sendError(res, 404, 'Post not found');
     }
 
-    const postData = postDoc.data();
     res.json({
-      id: postDoc.id,
-      ...postData,
-      isLiked: postData.likes?.includes(req.user.uid) || false
+      ...post,
+      isLiked: post.likes?.includes(req.user.uid) || false
     });
   } catch (error) {
-    console.error('Error fetching post:', error);
-    res.status(500).json({ message: 'Failed to fetch post' });
+    logger.error('Error fetching post', error);
+    sendError(res, 500, 'Failed to fetch post');
   }
 });
 
 // Add comment to post
-router.post('/:postId/comments', verifyToken, async (req, res) => {
+router.post('/:postId/comments', verifyToken, validate(schemas.addComment), idempotent(), async (req, res) => {
   try {
     const { uid } = req.user;
     const { postId } = req.params;
     const { communityId, text } = req.body;
 
-    if (!text || !communityId) {
-      return res.status(400).json({ message: 'Comment text and community ID are required' });
+    const [community, post] = await Promise.all([
+      communities.get(communityId),
+      posts.get(communityId, postId)
+    ]);
+    if (!post) {
+      return sendError(res, 404, 'Post not found');
     }
 
-    const commentData = {
+    // Archived communities are read-only
+    if (community?.archived) {
+      return sendError(res, 409, 'Community is archived and read-only', { code: 'COMMUNITY_ARCHIVED' });
+    }
+
+    // Restricted communities take comments from the same people as posts.
+    // Anyone may comment in an open one.
+    if (community?.restricted && !canPostIn(req.user, community)) {
+      return sendError(res, 403, 'Only approved members can comment in this community; ask to join first', {
+        code: 'MEMBERSHIP_REQUIRED'
+      });
+    }
+
+    const commentId = await comments.create(communityId, postId, {
       text,
       author: uid,
       authorName: req.user.name || req.user.email?.split('@')[0] || 'Anonymous',
-      authorPhoto: req.user.picture,
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    const commentRef = await admin.firestore()
-      .collection('communities')
-      .doc(communityId)
-      .collection('posts')
-      .doc(postId)
-      .collection('comments')
-      .add(commentData);
+      authorPhoto: req.user.picture || null
+    });
 
     // Update post comment count
-    await admin.firestore()
-      .collection('communities')
-      .doc(communityId)
-      .collection('posts')
-      .doc(postId)
-      .update({
-        comments: admin.firestore.FieldValue.increment(1)
-      });
+    await posts.incrementComments(communityId, postId);
 
     res.json({
-      id: commentRef.id,
+      id: commentId,
       message: 'Comment added successfully'
     });
   } catch (error) {
-    console.error('Error adding comment:', error);
-    res.status(500).json({ message: 'Failed to add comment' });
+    logger.error('Error adding comment', error);
+    sendError(res, 500, 'Failed to add comment');
   }
 });
 
 // Get post comments
-router.get('/:postId/comments', verifyToken, async (req, res) => {
+router.get('/:postId/comments', verifyToken, validate(schemas.listComments), async (req, res) => {
   try {
     const { postId } = req.params;
-    const { communityId, limit = 20, offset = 0 } = req.query;
+    const { communityId, limit } = req.query;
 
-    if (!communityId) {
-      return res.status(400).json({ message: 'Community ID is required' });
-    }
+    const results = await comments.list(communityId, postId, pageOptions(req.query));
 
-    const commentsQuery = admin.firestore()
-      .collection('communities')
-      .doc(communityId)
-      .collection('posts')
-      .doc(postId)
-      .collection('comments')
-      .orderBy('timestamp', 'desc')
-      .limit(parseInt(limit))
-      .offset(parseInt(offset));
-
-    const snapshot = await commentsQuery.get();
-    const comments = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-
-    res.json(comments);
+    sendPage(req, res, toPage(results, limit, 'timestamp'));
   } catch (error) {
-    console.error('Error fetching comments:', error);
-    res.status(500).json({ message: 'Failed to fetch comments' });
+    logger.error('Error fetching comments', error);
+    sendError(res, 500, 'Failed to fetch comments');
   }
 });
 
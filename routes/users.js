@@ -1,223 +1,177 @@
 const express = require('express');
-const admin = require('firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { exportUserData, deleteUserData } = require('../services/accountData');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { logger } = require('../services/logger');
+const schemas = require('../schemas/users');
+const { getRepositories } = require('../repositories');
+const { pageOptions, toPage, sendPage } = require('../services/pagination');
+const { recordAudit } = require('../services/audit');
 const router = express.Router();
 
-// Middleware to verify Firebase token
-const verifyToken = async (req, res, next) => {
+const { users, notifications, bookmarks } = getRepositories();
+
+// Get user profile
+router.get('/profile', verifyToken, validate(schemas.profile), async (req, res) => {
   try {
-    const token = req.headers.authorization?.split('Bearer ')[1];
+    const { uid } = req.user;
     
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
+    const profile = await users.get(uid);
+
+    if (!profile) {
+      return sendError(res, 404, 'User profile not found');
     }
 
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    req.user = decodedToken;
-    next();
+    res.json(profile);
   } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(401).json({ message: 'Invalid token' });
+    logger.error('Error fetching user profile', error);
+    sendError(res, 500, 'Failed to fetch user profile');
   }
-};
+});
 
-// Get user profile
-router.get('/profile', verifyToken, async (req, res) => {
+// Update user profile
+router.put('/profile', verifyToken, validate(schemas.updateProfile), async (req, res) => {
   try {
     const { uid } = req.user;
-    
-    const userDoc = await admin.firestore()
-      .collection('users')
-      .doc(uid)
-      .get();
 
-    if (!userDoc.exists) {
-      return res.status(404).json({ message: 'User profile not found' });
+    // Only the fields that were sent are changed
+    if (Object.keys(req.body).length === 0) {
+      return sendError(res, 400, 'No profile fields to update');
     }
 
-    res.json(userDoc.data());
+    await users.update(uid, req.body);
+
+    res.json({ message: 'Profile updated successfully' });
   } catch (error) {
-    console.error('Error fetching user profile:', error);
-    res.status(500).json({ message: 'Failed to fetch user profile' });
+    logger.error('Error updating user profile', error);
+    sendError(res, 500, 'Failed to update profile');
   }
 });
 
-// Update user profile
-router.put('/profile', verifyToken, async (req, res) => {
+// Export all of the user's data as a downloadable JSON archive
+router.get('/me/export', verifyToken, validate(schemas.exportData), async (req, res) => {
   try {
     const { uid } = req.user;
-    const { name, regNo, department, year, photoURL } = req.body;
-
-    const updateData = {
-      name,
-      regNo,
-      department,
-      year,
-      photoURL,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    await admin.firestore()
-      .collection('users')
-      .doc(uid)
-      .update(updateData);
 
-    res.json({ message: 'Profile updated successfully' });
+    const archive = await exportUserData(uid);
+
+    await recordAudit('user.data.exported', { target: `user:${uid}` });
+
+    res.set('Content-Disposition', `attachment; filename="ceg-connect-export-${uid}.json"`);
+    res.json(archive);
+  } catch (error) {
+    logger.error('Error exporting user data', error);
+    sendError(res, 500, 'Failed to export user data');
+  }
+});
+
+// Delete the user's account and personal data
+router.delete('/me', verifyToken, validate(schemas.deleteAccount), async (req, res) => {
+  try {
+    const { uid } = req.user;
+
+    // The schema only accepts { "confirm": "DELETE" }
+    const removed = await deleteUserData(uid);
+
+    await recordAudit('user.account.deleted', {
+      target: `user:${uid}`,
+      details: { removed }
+    });
+
+    res.json({ message: 'Account deleted successfully', removed });
   } catch (error) {
-    console.error('Error updating user profile:', error);
-    res.status(500).json({ message: 'Failed to update profile' });
+    logger.error('Error deleting account', error);
+    sendError(res, 500, 'Failed to delete account');
   }
 });
 
 // Get user's notifications
-router.get('/notifications', verifyToken, async (req, res) => {
+router.get('/notifications', verifyToken, validate(schemas.listNotifications), async (req, res) => {
   try {
     const { uid } = req.user;
-    const { limit = 50, offset = 0 } = req.query;
-
-    const notificationsQuery = admin.firestore()
-      .collection('users')
-      .doc(uid)
-      .collection('notifications')
-      .orderBy('timestamp', 'desc')
-      .limit(parseInt(limit))
-      .offset(parseInt(offset));
-
-    const snapshot = await notificationsQuery.get();
-    const notifications = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-
-    res.json(notifications);
+    const results = await notifications.list(uid, pageOptions(req.query));
+
+    sendPage(req, res, toPage(results, req.query.limit, 'timestamp'));
   } catch (error) {
-    console.error('Error fetching notifications:', error);
-    res.status(500).json({ message: 'Failed to fetch notifications' });
+    logger.error('Error fetching notifications', error);
+    sendError(res, 500, 'Failed to fetch notifications');
   }
 });
 
 // Mark notification as read
-router.put('/notifications/:notificationId/read', verifyToken, async (req, res) => {
+router.put('/notifications/:notificationId/read', verifyToken, validate(schemas.notification), async (req, res) => {
   try {
     const { uid } = req.user;
     const { notificationId } = req.params;
 
-    await admin.firestore()
-      .collection('users')
-      .doc(uid)
-      .collection('notifications')
-      .doc(notificationId)
-      .update({
-        read: true,
-        readAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+    await notifications.markRead(uid, notificationId);
 
     res.json({ message: 'Notification marked as read' });
   } catch (error) {
-    console.error('Error marking notification as read:', error);
-    res.status(500).json({ message: 'Failed to mark notification as read' });
+    logger.error('Error marking notification as read', error);
+    sendError(res, 500, 'Failed to mark notification as read');
   }
 });
 
 // Mark all notifications as read
-router.put('/notifications/read-all', verifyToken, async (req, res) => {
+router.put('/notifications/read-all', verifyToken, validate(schemas.readAllNotifications), async (req, res) => {
   try {
     const { uid } = req.user;
 
-    const notificationsQuery = admin.firestore()
-      .collection('users')
-      .doc(uid)
-      .collection('notifications')
-      .where('read', '==', false);
-
-    const snapshot = await notificationsQuery.get();
-    const batch = admin.firestore().batch();
-
-    snapshot.docs.forEach(doc => {
-      batch.update(doc.ref, {
-        read: true,
-        readAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-    });
-
-    await batch.commit();
+    await notifications.markAllRead(uid);
 
     res.json({ message: 'All notifications marked as read' });
   } catch (error) {
-    console.error('Error marking all notifications as read:', error);
-    res.status(500).json({ message: 'Failed to mark all notifications as read' });
+    logger.error('Error marking all notifications as read', error);
+    sendError(res, 500, 'Failed to mark all notifications as read');
   }
 });
 
 // Get user's bookmarks
-router.get('/bookmarks', verifyToken, async (req, res) => {
+router.get('/bookmarks', verifyToken, validate(schemas.listBookmarks), async (req, res) => {
   try {
     const { uid } = req.user;
-    const { limit = 50, offset = 0 } = req.query;
-
-    const bookmarksQuery = admin.firestore()
-      .collection('users')
-      .doc(uid)
-      .collection('bookmarks')
-      .orderBy('createdAt', 'desc')
-      .limit(parseInt(limit))
-      .offset(parseInt(offset));
-
-    const snapshot = await bookmarksQuery.get();
-    const bookmarks = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-
-    res.json(bookmarks);
+    const results = await bookmarks.list(uid, pageOptions(req.query));
+
+    sendPage(req, res, toPage(results, req.query.limit, 'createdAt'));
   } catch (error) {
-    console.error('Error fetching bookmarks:', error);
-    res.status(500).json({ message: 'Failed to fetch bookmarks' });
+    logger.error('Error fetching bookmarks', error);
+    sendError(res, 500, 'Failed to fetch bookmarks');
   }
 });
 
 // Add bookmark
-router.post('/bookmarks', verifyToken, async (req, res) => {
+router.post('/bookmarks', verifyToken, validate(schemas.addBookmark), async (req, res) => {
   try {
     const { uid } = req.user;
     const { postId, communityId, postType } = req.body;
 
-    const bookmarkData = {
+    await bookmarks.create(uid, {
       postId,
       communityId,
-      postType,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    await admin.firestore()
-      .collection('users')
-      .doc(uid)
-      .collection('bookmarks')
-      .add(bookmarkData);
+      postType: postType || null
+    });
 
     res.json({ message: 'Bookmark added successfully' });
   } catch (error) {
-    console.error('Error adding bookmark:', error);
-    res.status(500).json({ message: 'Failed to add bookmark' });
+    logger.error('Error adding bookmark', error);
+    sendError(res, 500, 'Failed to add bookmark');
   }
 });
 
 // Remove bookmark
-router.delete('/bookmarks/:bookmarkId', verifyToken, async (req, res) => {
+router.delete('/bookmarks/:bookmarkId', verifyToken, validate(schemas.bookmark), async (req, res) => {
   try {
     const { uid } = req.user;
     const { bookmarkId } = req.params;
 
-    await admin.firestore()
-      .collection('users')
-      .doc(uid)
-      .collection('bookmarks')
-      .doc(bookmarkId)
-      .delete();
+    await bookmarks.delete(uid, bookmarkId);
 
     res.json({ message: 'Bookmark removed successfully' });
   } catch (error) {
-    console.error('Error removing bookmark:', error);
-    res.status(500).json({ message: 'Failed to remove bookmark' });
+    logger.error('Error removing bookmark', error);
+    sendError(res, 500, 'Failed to remove bookmark');
   }
 });
 
@@ -0,0 +1,69 @@
+const { ROLES, DEFAULT_ROLE } = require('../services/permissions');
+const { object, idParams, id, slug, text, pagination, page, message } = require('./common');
+const models = require('./models');
+
+const assignableRole = {
+  type: 'string',
+  enum: ROLES.filter(role => role !== DEFAULT_ROLE)
+};
+
+const roles = { type: 'array', items: { type: 'string', enum: ROLES } };
+
+const slugParams = object({ slug }, ['slug']);
+const icon = { ...text(16), description: 'An emoji', example: '💼' };
+
+module.exports = {
+  userRoles: {
+    summary: "Get a user's platform roles",
+    params: idParams('uid'),
+    response: object({ uid: id, roles }, ['uid', 'roles'])
+  },
+
+  grantRole: {
+    summary: 'Grant a platform role. Takes effect when the user next refreshes their token.',
+    params: idParams('uid'),
+    body: object({ role: assignableRole }, ['role']),
+    response: message({ uid: id, roles }, ['uid', 'roles'])
+  },
+
+  revokeRole: {
+    summary: 'Revoke a platform role',
+    params: object({ uid: id, role: assignableRole }, ['uid', 'role']),
+    response: message({ uid: id, roles }, ['uid', 'roles'])
+  },
+
+  auditLog: {
+    summary: 'Query the audit trail of security-relevant actions, newest first',
+    query: object({
+      ...pagination({ limit: 50 }),
+      action: text(100),
+      actor: id,
+      target: { ...text(300), description: 'e.g. user:<uid>, email:<address>, session:<id>' }
+    }),
+    response: page(models.auditEntry)
+  },
+
+  createCategory: {
+    summary: 'Add a community category. The slug is permanent; the name and icon can be changed.',
+    body: object({ slug, name: text(50), icon }, ['slug', 'name']),
+    response: message({ category: models.category }, ['category'])
+  },
+
+  updateCategory: {
+    summary: "Change a community category's name or icon",
+    params: slugParams,
+    body: object({ name: text(50), icon }),
+    response: message({ category: models.category }, ['category'])
+  },
+
+  deleteCategory: {
+    summary: 'Delete a community category that no community uses, archived ones included',
+    params: slugParams,
+    response: message()
+  },
+
+  jobs: {
+    summary: "Status of this instance's background jobs",
+    response: object({ jobs: { type: 'array', items: models.job } }, ['jobs'])
+  }
+};
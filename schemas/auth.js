@@ -0,0 +1,132 @@
+const { id, email, text, object, idParams, message } = require('./common');
+const models = require('./models');
+
+const deviceLabel = text(100);
+const otpCode = { type: 'string', pattern: '^\\d{6}$' };
+const secondFactorCode = { ...text(32), description: 'Authenticator app code or, where accepted, a recovery code' };
+const signedToken = text(2048);
+
+const codeBody = object({ code: secondFactorCode }, ['code']);
+
+const sent = (properties) => object({
+  success: { type: 'boolean' },
+  message: { type: 'string' },
+  email,
+  expiresIn: { type: 'integer', description: 'Seconds' },
+  resendAfter: { type: 'integer', description: 'Seconds before another send is allowed' },
+  ...properties
+}, ['success', 'message', 'email', 'expiresIn']);
+
+// Either a signed-in session, or (with two-factor enabled) an mfaToken to
+// exchange at /api/auth/2fa/verify
+const signIn = object({
+  success: { type: 'boolean' },
+  message: { type: 'string' },
+  token: { type: 'string', description: 'Firebase custom token' },
+  sessionId: id,
+  user: object({ id, email, name: { type: 'string' } }, ['id', 'email', 'name']),
+  mfaRequired: { type: 'boolean' },
+  mfaToken: { type: 'string' },
+  expiresIn: { type: 'integer', description: 'Seconds the mfaToken is valid for' }
+}, ['success', 'message']);
+
+const recoveryCodes = { type: 'array', items: { type: 'string' }, description: 'Shown once' };
+
+module.exports = {
+  sendOtp: {
+    summary: 'Email a six-digit sign-in code',
+    body: object({ email }, ['email']),
+    response: sent({ otp: { type: 'string', description: 'Only in DEMO_MODE' } })
+  },
+
+  verifyOtp: {
+    summary: 'Sign in with an emailed code',
+    body: object({ email, otp: otpCode, deviceLabel }, ['email', 'otp']),
+    response: signIn
+  },
+
+  sendLink: {
+    summary: 'Email a single-use sign-in link',
+    body: object({ email }, ['email']),
+    response: sent({ link: { type: 'string', description: 'Only in DEMO_MODE' } })
+  },
+
+  verifyLinkQuery: {
+    summary: 'Sign in with an emailed link (the link itself opens this)',
+    query: object({ token: signedToken }, ['token']),
+    response: signIn
+  },
+
+  verifyLinkBody: {
+    summary: 'Sign in with the token from an emailed link',
+    body: object({ token: signedToken, deviceLabel }, ['token']),
+    response: signIn
+  },
+
+  verifySecondFactor: {
+    summary: 'Finish signing in with an authenticator or recovery code',
+    body: object({ mfaToken: signedToken, code: secondFactorCode, deviceLabel }, ['mfaToken', 'code']),
+    response: signIn
+  },
+
+  twoFactorStatus: {
+    summary: 'Two-factor status for the signed-in user',
+    response: object({
+      enabled: { type: 'boolean' },
+      recoveryCodesRemaining: { type: 'integer' }
+    }, ['enabled', 'recoveryCodesRemaining'])
+  },
+
+  enrollTwoFactor: {
+    summary: 'Start two-factor enrolment',
+    response: object({
+      secret: { type: 'string' },
+      otpauthUri: { type: 'string', description: 'For a QR code' }
+    }, ['secret', 'otpauthUri'])
+  },
+
+  activateTwoFactor: {
+    summary: 'Confirm enrolment with a code from the app',
+    body: codeBody,
+    response: message({ recoveryCodes }, ['recoveryCodes'])
+  },
+
+  stepUp: {
+    summary: 'Re-confirm with the authenticator app before a sensitive action',
+    body: codeBody,
+    response: message()
+  },
+
+  regenerateRecoveryCodes: {
+    summary: 'Replace recovery codes. Needs an authenticator code.',
+    body: codeBody,
+    response: message({ recoveryCodes }, ['recoveryCodes'])
+  },
+
+  disableTwoFactor: {
+    summary: 'Turn two-factor off',
+    body: codeBody,
+    response: message()
+  },
+
+  logout: {
+    summary: 'Revoke the current session',
+    response: message()
+  },
+
+  sessions: {
+    summary: 'List active sessions, newest first',
+    response: { type: 'array', items: models.session }
+  },
+
+  revokeAllSessions: {
+    summary: 'Sign out every device',
+    response: message({ revoked: { type: 'integer' } }, ['revoked'])
+  },
+
+  session: {
+    summary: 'Revoke one session',
+    params: idParams('sessionId'),
+    response: message()
+  }
+};
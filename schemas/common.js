@@ -0,0 +1,107 @@
+const { SLUG_PATTERN } = require('../services/categories');
+
+// Building blocks for route schemas (a JSON Schema subset, see middleware/validate.js)
+//
+// A route schema has params, query and body, which are validated, plus
+// summary, response (the success body) and status (when not 200), which only
+// feed the OpenAPI document (see services/openapi.js).
+
+const id = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 128,
+  pattern: '^[A-Za-z0-9_-]+$'
+};
+
+// A community category's slug (see services/categories.js)
+const slug = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 50,
+  pattern: SLUG_PATTERN
+};
+
+const email = {
+  type: 'string',
+  format: 'email',
+  maxLength: 254
+};
+
+const url = {
+  type: 'string',
+  format: 'uri',
+  maxLength: 2048
+};
+
+const text = (maxLength, minLength = 1) => ({
+  type: 'string',
+  minLength,
+  maxLength
+});
+
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  required
+});
+
+// Path params that are all required ids, e.g. idParams('communityId', 'postId')
+const idParams = (...names) => object(
+  Object.fromEntries(names.map(name => [name, id])),
+  names
+);
+
+// Cursor pagination (see services/pagination.js). offset still works when no
+// cursor is sent but is deprecated.
+const pagination = ({ limit = 20, maxLimit = 100 } = {}) => ({
+  limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: limit },
+  paging: {
+    type: 'string',
+    enum: ['cursor'],
+    description: 'Send "cursor" on the first page to get { items, nextCursor }; '
+      + 'without it or a cursor, the response is a bare array of items (deprecated)'
+  },
+  cursor: {
+    type: 'string',
+    format: 'cursor',
+    maxLength: 1024,
+    description: 'nextCursor from the previous page'
+  },
+  offset: {
+    type: 'integer',
+    minimum: 0,
+    maximum: 5000,
+    deprecated: true,
+    description: 'Use cursor instead'
+  }
+});
+
+// ==================== RESPONSES ====================
+
+const timestamp = { type: 'string', format: 'date-time' };
+
+// A page of a cursor-paginated list
+const page = (item) => object({
+  items: { type: 'array', items: item },
+  nextCursor: { type: 'string', nullable: true, description: 'null on the last page' }
+}, ['items', 'nextCursor']);
+
+// The { message, ... } bodies most writes respond with
+const message = (properties = {}, required = []) => object({
+  message: { type: 'string' },
+  ...properties
+}, ['message', ...required]);
+
+module.exports = {
+  id,
+  slug,
+  email,
+  url,
+  text,
+  object,
+  idParams,
+  pagination,
+  timestamp,
+  page,
+  message
+};
@@ -0,0 +1,229 @@
+const { id, url, text, object, idParams, pagination, page, message } = require('./common');
+const models = require('./models');
+
+const category = {
+  ...text(50),
+  description: 'Slug of one of the categories in GET /api/communities/categories. A name or common alias '
+    + '("Tech", "Social service") is taken as the category it matches.'
+};
+
+const restricted = {
+  type: 'boolean',
+  description: 'Anyone may follow and read, but only approved members, the owner and moderators may post'
+};
+
+const requiresApproval = {
+  type: 'boolean',
+  description: 'Hold posts by anyone but the owner and moderators until a moderator approves them'
+};
+
+module.exports = {
+  list: {
+    summary: 'List communities, newest first. Archived communities are left out.',
+    query: object({
+      ...pagination(),
+      category: {
+        ...text(50),
+        description: 'Category slug from GET /api/communities/categories, or a name or common alias it matches; '
+          + 'unknown categories are rejected. Leave out to list every category; "All" does the same but is deprecated.'
+      }
+    }),
+    response: page(models.community)
+  },
+
+  categories: {
+    summary: 'List community categories by name, each with how many communities it has',
+    response: object({ categories: { type: 'array', items: models.category } }, ['categories'])
+  },
+
+  community: {
+    summary: 'Get a community',
+    params: idParams('communityId'),
+    response: models.community
+  },
+
+  create: {
+    summary: 'Create a community, administered and followed by the creator',
+    body: object({
+      name: text(100),
+      description: text(1000),
+      category,
+      restricted: { ...restricted, default: false },
+      requiresApproval: { ...requiresApproval, default: false }
+    }, ['name', 'description', 'category']),
+    response: message({ id }, ['id'])
+  },
+
+  update: {
+    summary: "Change a community's name, description, category, or whether it is restricted or requires "
+      + 'approval of posts. Owner, community moderators or platform moderators.',
+    params: idParams('communityId'),
+    body: object({
+      name: text(100),
+      description: text(1000),
+      category,
+      restricted,
+      requiresApproval
+    }),
+    response: message({ community: models.community }, ['community'])
+  },
+
+  archive: {
+    summary: 'Archive a community: it becomes read-only and is left out of listings. Owner or platform moderators.',
+    params: idParams('communityId'),
+    response: message({ community: models.community }, ['community'])
+  },
+
+  unarchive: {
+    summary: 'Restore an archived community. Owner or platform moderators.',
+    params: idParams('communityId'),
+    response: message({ community: models.community }, ['community'])
+  },
+
+  remove: {
+    summary: 'Delete a community with all of its posts and comments. Owner or platform moderators.',
+    params: idParams('communityId'),
+    response: message({
+      removed: object({
+        posts: { type: 'integer' },
+        comments: { type: 'integer' }
+      }, ['posts', 'comments'])
+    }, ['removed'])
+  },
+
+  inviteModerator: {
+    summary: 'Invite a follower to co-moderate. They become a moderator when they accept. Owner or platform moderators.',
+    params: idParams('communityId'),
+    body: object({ uid: id }, ['uid']),
+    response: message()
+  },
+
+  acceptModeratorInvite: {
+    summary: "Accept the signed-in user's invitation to moderate the community",
+    params: idParams('communityId'),
+    response: message({ role: { type: 'string', enum: ['moderator'] } }, ['role'])
+  },
+
+  removeModerator: {
+    summary: 'Remove a moderator or withdraw an invitation (owner), or step down or decline (the user themselves)',
+    params: idParams('communityId', 'uid'),
+    response: message()
+  },
+
+  transferOwnership: {
+    summary: 'Hand the community to one of its moderators; the previous owner stays on as a moderator. '
+      + 'Platform moderators may hand it to any follower.',
+    params: idParams('communityId'),
+    body: object({ uid: id }, ['uid']),
+    response: message({ community: models.community }, ['community'])
+  },
+
+  requestToJoin: {
+    summary: 'Ask to become a member of a restricted community, so as to post in it',
+    params: idParams('communityId'),
+    body: object({ message: text(500, 0) }),
+    response: message()
+  },
+
+  listJoinRequests: {
+    summary: 'List pending join requests, newest first. Owner, community moderators or platform moderators.',
+    params: idParams('communityId'),
+    query: object(pagination()),
+    response: page(models.joinRequest)
+  },
+
+  approveJoinRequest: {
+    summary: 'Approve a join request; the user becomes a member and follower and is notified. '
+      + 'Owner, community moderators or platform moderators.',
+    params: idParams('communityId', 'uid'),
+    response: message()
+  },
+
+  rejectJoinRequest: {
+    summary: 'Reject a join request; the user is notified, with the reason if one is given. '
+      + 'Owner, community moderators or platform moderators.',
+    params: idParams('communityId', 'uid'),
+    body: object({ reason: text(500) }),
+    response: message()
+  },
+
+  follow: {
+    summary: 'Follow the community, or unfollow it if already following',
+    params: idParams('communityId'),
+    response: message({ isFollowing: { type: 'boolean' } }, ['isFollowing'])
+  },
+
+  listPosts: {
+    summary: "List a community's posts, newest first",
+    params: idParams('communityId'),
+    query: object({
+      ...pagination(),
+      pinned: { type: 'boolean', description: 'Only pinned posts' }
+    }),
+    response: page(models.post)
+  },
+
+  createPost: {
+    summary: 'Post in a community the user follows, or is an approved member of when it is restricted. '
+      + 'Needs text or images. In a community that requires approval the post waits for a moderator.',
+    params: idParams('communityId'),
+    body: object({
+      text: text(5000, 0),
+      images: { type: 'array', items: url, maxItems: 10, default: [] }
+    }),
+    response: message({
+      id,
+      status: {
+        type: 'string',
+        enum: ['published', 'pending'],
+        description: 'pending while the post waits for approval'
+      }
+    }, ['id', 'status'])
+  },
+
+  listPendingPosts: {
+    summary: 'List posts waiting for approval, newest first. Owner, community moderators or platform moderators.',
+    params: idParams('communityId'),
+    query: object(pagination()),
+    response: page(models.post)
+  },
+
+  approvePost: {
+    summary: 'Publish a pending post, optionally with its text or images edited. The author is notified. '
+      + 'Owner, community moderators or platform moderators.',
+    params: idParams('communityId', 'postId'),
+    body: object({
+      text: text(5000, 0),
+      images: { type: 'array', items: url, maxItems: 10 }
+    }),
+    response: message({ id }, ['id'])
+  },
+
+  rejectPost: {
+    summary: 'Turn down a pending post. It is deleted and the author is notified with the reason. '
+      + 'Owner, community moderators or platform moderators.',
+    params: idParams('communityId', 'postId'),
+    body: object({ reason: text(500) }, ['reason']),
+    response: message()
+  },
+
+  removePost: {
+    summary: 'Remove a post and its comments. Its author, or the owner or a moderator of the community.',
+    params: idParams('communityId', 'postId'),
+    response: message({
+      removed: object({ comments: { type: 'integer' } }, ['comments'])
+    }, ['removed'])
+  },
+
+  pin: {
+    summary: 'Pin the post, or unpin it if already pinned. Owner, community moderators or platform moderators.',
+    params: idParams('communityId', 'postId'),
+    response: message({ pinned: { type: 'boolean' } }, ['pinned'])
+  },
+
+  like: {
+    summary: 'Like the post, or unlike it if already liked',
+    params: idParams('communityId', 'postId'),
+    response: message({ isLiked: { type: 'boolean' } }, ['isLiked'])
+  }
+};
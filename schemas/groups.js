@@ -0,0 +1,74 @@
+const { id, url, text, object, idParams, pagination, page, message } = require('./common');
+const models = require('./models');
+
+module.exports = {
+  list: {
+    summary: 'List groups, newest first',
+    query: object(pagination()),
+    response: page(models.group)
+  },
+
+  group: {
+    summary: 'Get a group',
+    params: idParams('groupId'),
+    response: models.group
+  },
+
+  create: {
+    summary: 'Create a group, administered by the creator',
+    body: object({
+      name: text(100),
+      description: text(1000),
+      isPrivate: { type: 'boolean', default: false }
+    }, ['name', 'description']),
+    response: message({ id }, ['id'])
+  },
+
+  update: {
+    summary: "Change a group's name, description or privacy. Its admin or platform moderators.",
+    params: idParams('groupId'),
+    body: object({
+      name: text(100),
+      description: text(1000),
+      isPrivate: { type: 'boolean' }
+    }),
+    response: message({ group: models.group }, ['group'])
+  },
+
+  join: {
+    summary: 'Join a group',
+    params: idParams('groupId'),
+    response: message()
+  },
+
+  leave: {
+    summary: 'Leave a group. The admin cannot leave.',
+    params: idParams('groupId'),
+    response: message()
+  },
+
+  removeMember: {
+    summary: 'Remove a member from a group. Its admin or platform moderators; the admin cannot be removed.',
+    params: idParams('groupId', 'uid'),
+    response: message()
+  },
+
+  listMessages: {
+    summary: "List a group's messages, newest first. Members only.",
+    params: idParams('groupId'),
+    query: object(pagination({ limit: 50 })),
+    response: page(models.message)
+  },
+
+  sendMessage: {
+    summary: 'Send a message to a group. Needs text or a file.',
+    params: idParams('groupId'),
+    body: object({
+      text: text(5000, 0),
+      type: { type: 'string', enum: ['text', 'image', 'file'], default: 'text' },
+      fileUrl: url,
+      fileName: text(255)
+    }),
+    response: message({ id }, ['id'])
+  }
+};
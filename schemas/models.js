@@ -0,0 +1,221 @@
+const { OUTCOMES } = require('../services/audit');
+const { id, slug, url, object, timestamp } = require('./common');
+
+// Shapes of the records the API returns, for the response side of route
+// schemas. Timestamps are serialised as ISO strings.
+
+const ids = { type: 'array', items: id };
+const authorId = { ...id, nullable: true, description: 'null once the author deletes their account' };
+const nullableString = { type: 'string', nullable: true };
+
+const community = object({
+  id,
+  name: { type: 'string' },
+  description: { type: 'string' },
+  category: { ...slug, description: 'Slug of one of the categories in GET /api/communities/categories' },
+  followers: ids,
+  admin: { ...id, nullable: true, description: 'uid of the owner; null once they delete their account' },
+  adminName: { type: 'string' },
+  moderators: { ...ids, description: 'uids of the co-moderators' },
+  moderatorInvites: { ...ids, description: 'uids invited to moderate who have not accepted yet' },
+  restricted: { type: 'boolean', description: 'Only approved members, the owner and moderators may post' },
+  members: { ...ids, description: 'uids approved to post while the community is restricted' },
+  requiresApproval: {
+    type: 'boolean',
+    description: 'Posts by anyone but the owner and moderators wait for approval before they appear'
+  },
+  postCount: { type: 'integer' },
+  archived: { type: 'boolean', description: 'Archived communities are read-only and left out of listings' },
+  archivedAt: { ...timestamp, nullable: true },
+  archivedBy: { ...id, nullable: true },
+  createdAt: timestamp,
+  updatedAt: timestamp,
+  isFollowing: { type: 'boolean', description: 'Whether the signed-in user follows it' },
+  canPost: { type: 'boolean', description: 'Whether the signed-in user may post in it' },
+  joinRequested: {
+    type: 'boolean',
+    description: 'Whether the signed-in user has a join request pending. Only on GET /api/communities/{communityId}.'
+  },
+  role: {
+    type: 'string',
+    enum: ['owner', 'moderator'],
+    nullable: true,
+    description: "The signed-in user's role in the community"
+  }
+}, ['id', 'name', 'description', 'category', 'admin']);
+
+const category = object({
+  id: { ...slug, description: 'Same as slug' },
+  slug,
+  name: { type: 'string', example: 'Careers & Placements' },
+  icon: { type: 'string', example: '💼' },
+  communityCount: { type: 'integer', description: 'Communities in the category, leaving out archived ones' },
+  createdAt: timestamp,
+  updatedAt: timestamp
+}, ['slug', 'name']);
+
+const joinRequest = object({
+  id: { ...id, description: 'The uid of the user asking to join' },
+  communityId: id,
+  uid: id,
+  name: { type: 'string' },
+  photoURL: { ...url, nullable: true },
+  message: { type: 'string', description: 'What the user wrote to the moderators' },
+  createdAt: timestamp
+}, ['id', 'communityId', 'uid', 'name', 'createdAt']);
+
+const post = object({
+  id,
+  communityId: id,
+  text: { type: 'string' },
+  images: { type: 'array', items: url },
+  author: authorId,
+  authorName: { type: 'string' },
+  authorPhoto: nullableString,
+  likes: ids,
+  comments: { type: 'integer', description: 'Number of comments' },
+  pinned: { type: 'boolean' },
+  pinnedAt: { ...timestamp, nullable: true },
+  pinnedBy: { ...id, nullable: true },
+  submittedAt: { ...timestamp, description: 'When it was sent in, for posts that waited for approval' },
+  approvedBy: { ...id, description: 'The moderator who approved it, for posts that waited for approval' },
+  timestamp,
+  isLiked: { type: 'boolean', description: 'Whether the signed-in user likes it' }
+}, ['id', 'communityId', 'text', 'author', 'timestamp']);
+
+// Posts gathered from several communities carry the community's name
+const feedPost = object({
+  ...post.properties,
+  communityName: { type: 'string' }
+}, [...post.required, 'communityName']);
+
+const comment = object({
+  id,
+  communityId: id,
+  postId: id,
+  text: { type: 'string' },
+  author: authorId,
+  authorName: { type: 'string' },
+  authorPhoto: nullableString,
+  timestamp
+}, ['id', 'communityId', 'postId', 'text', 'author', 'timestamp']);
+
+const group = object({
+  id,
+  name: { type: 'string' },
+  description: { type: 'string' },
+  isPrivate: { type: 'boolean' },
+  members: ids,
+  admin: id,
+  lastMessage: {
+    ...object({
+      text: { type: 'string' },
+      timestamp,
+      author: authorId
+    }, ['text', 'timestamp', 'author']),
+    description: 'Missing until the first message is sent'
+  },
+  createdAt: timestamp,
+  updatedAt: timestamp
+}, ['id', 'name', 'description', 'isPrivate', 'members', 'admin']);
+
+const message = object({
+  id,
+  groupId: id,
+  text: { type: 'string' },
+  author: authorId,
+  type: { type: 'string', enum: ['text', 'image', 'file'] },
+  fileUrl: { ...url, nullable: true },
+  fileName: nullableString,
+  timestamp
+}, ['id', 'groupId', 'text', 'author', 'type', 'timestamp']);
+
+const profile = object({
+  id,
+  email: { type: 'string', format: 'email' },
+  name: { type: 'string' },
+  regNo: nullableString,
+  department: nullableString,
+  admissionYear: { type: 'integer', nullable: true },
+  year: { type: 'integer' },
+  photoURL: { ...url, nullable: true },
+  createdAt: timestamp,
+  updatedAt: timestamp
+}, ['id', 'email', 'name']);
+
+const notification = object({
+  id,
+  type: { type: 'string', example: 'moderator_invite' },
+  message: { type: 'string' },
+  communityId: { ...id, description: 'The community it is about, if any' },
+  postId: { ...id, description: 'The post it is about, if any' },
+  read: { type: 'boolean' },
+  readAt: timestamp,
+  timestamp
+}, ['id', 'read', 'timestamp']);
+
+const bookmark = object({
+  id,
+  postId: id,
+  communityId: id,
+  postType: nullableString,
+  createdAt: timestamp
+}, ['id', 'postId', 'communityId', 'createdAt']);
+
+const session = object({
+  id,
+  deviceLabel: { type: 'string' },
+  ip: nullableString,
+  userAgent: nullableString,
+  revokedAt: { ...timestamp, nullable: true },
+  stepUpAt: timestamp,
+  createdAt: timestamp,
+  current: { type: 'boolean', description: 'Whether this is the session making the request' }
+}, ['id', 'deviceLabel', 'createdAt']);
+
+const auditEntry = object({
+  id,
+  action: { type: 'string', example: 'admin.role.granted' },
+  outcome: { type: 'string', enum: OUTCOMES },
+  actor: { ...id, nullable: true, description: 'uid of the user who acted; null before sign-in' },
+  target: { type: 'string', nullable: true, example: 'user:abc123' },
+  details: { type: 'object', additionalProperties: true },
+  requestId: { type: 'string', nullable: true },
+  ip: { type: 'string', nullable: true },
+  timestamp
+}, ['id', 'action', 'outcome', 'actor', 'target', 'timestamp']);
+
+const nullableTime = { ...timestamp, nullable: true };
+
+const job = object({
+  name: { type: 'string', example: 'auth-store-sweep' },
+  type: { type: 'string', enum: ['recurring', 'once'] },
+  intervalMs: { type: 'integer', nullable: true },
+  running: { type: 'boolean' },
+  nextRunAt: nullableTime,
+  lastStartedAt: nullableTime,
+  lastFinishedAt: nullableTime,
+  lastDurationMs: { type: 'integer', nullable: true },
+  lastOutcome: { type: 'string', enum: OUTCOMES, nullable: true },
+  lastError: { type: 'string', nullable: true },
+  runs: { type: 'integer' },
+  failures: { type: 'integer' },
+  skipped: { type: 'integer', description: 'Runs skipped because the previous one was still going' }
+}, ['name', 'type', 'running', 'runs', 'failures', 'skipped']);
+
+module.exports = {
+  community,
+  category,
+  joinRequest,
+  post,
+  feedPost,
+  comment,
+  group,
+  message,
+  profile,
+  notification,
+  bookmark,
+  session,
+  auditEntry,
+  job
+};
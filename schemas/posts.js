@@ -0,0 +1,55 @@
+const { id, text, object, idParams, pagination, page, message } = require('./common');
+const models = require('./models');
+
+module.exports = {
+  feed: {
+    summary: 'Posts from followed communities, newest first or trending',
+    query: object({
+      ...pagination(),
+      filter: { type: 'string', enum: ['all', 'trending'], default: 'all' }
+    }),
+    response: page(models.feedPost)
+  },
+
+  trending: {
+    summary: "The last day's posts, most liked first",
+    query: object(pagination()),
+    response: page(models.feedPost)
+  },
+
+  search: {
+    summary: 'Search post text across communities, newest first',
+    query: object({
+      ...pagination(),
+      q: text(100, 2)
+    }, ['q']),
+    response: page(models.feedPost)
+  },
+
+  post: {
+    summary: 'Get a post',
+    params: idParams('postId'),
+    query: object({ communityId: id }, ['communityId']),
+    response: models.post
+  },
+
+  addComment: {
+    summary: 'Comment on a post. In a restricted community, approved members, the owner and moderators only.',
+    params: idParams('postId'),
+    body: object({
+      communityId: id,
+      text: text(2000)
+    }, ['communityId', 'text']),
+    response: message({ id }, ['id'])
+  },
+
+  listComments: {
+    summary: "List a post's comments, newest first",
+    params: idParams('postId'),
+    query: object({
+      ...pagination(),
+      communityId: id
+    }, ['communityId']),
+    response: page(models.comment)
+  }
+};
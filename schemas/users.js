@@ -0,0 +1,99 @@
+const { id, url, text, object, idParams, pagination, timestamp, page, message } = require('./common');
+const models = require('./models');
+
+const namedRefs = { type: 'array', items: object({ id, name: { type: 'string' } }, ['id', 'name']) };
+
+module.exports = {
+  profile: {
+    summary: "Get the signed-in user's profile",
+    response: models.profile
+  },
+
+  updateProfile: {
+    summary: 'Update profile fields. Only the fields sent are changed.',
+    body: object({
+      name: text(100),
+      regNo: text(20),
+      department: text(100),
+      year: { type: 'integer', minimum: 1, maximum: 6 },
+      photoURL: { ...url, nullable: true }
+    }),
+    response: message()
+  },
+
+  exportData: {
+    summary: 'Download everything held about the signed-in user as JSON',
+    response: object({
+      exportedAt: timestamp,
+      uid: id,
+      profile: { ...models.profile, nullable: true },
+      posts: { type: 'array', items: models.post },
+      pendingPosts: { type: 'array', items: models.post, description: 'Posts still waiting for approval' },
+      comments: { type: 'array', items: models.comment },
+      groupMessages: { type: 'array', items: models.message },
+      bookmarks: { type: 'array', items: models.bookmark },
+      notifications: { type: 'array', items: models.notification },
+      sessions: { type: 'array', items: models.session },
+      twoFactor: object({
+        enabled: { type: 'boolean' },
+        recoveryCodesRemaining: { type: 'integer' }
+      }, ['enabled', 'recoveryCodesRemaining']),
+      followedCommunities: namedRefs,
+      joinRequests: { type: 'array', items: models.joinRequest },
+      groups: namedRefs
+    }, ['exportedAt', 'uid'])
+  },
+
+  deleteAccount: {
+    summary: 'Delete the account. Authored content is kept but anonymised.',
+    body: object({
+      confirm: { type: 'string', enum: ['DELETE'] }
+    }, ['confirm']),
+    response: message({
+      removed: {
+        type: 'object',
+        description: 'How many records of each kind were changed',
+        additionalProperties: { type: 'integer' }
+      }
+    }, ['removed'])
+  },
+
+  listNotifications: {
+    summary: "List the user's notifications, newest first",
+    query: object(pagination({ limit: 50 })),
+    response: page(models.notification)
+  },
+
+  notification: {
+    summary: 'Mark a notification as read',
+    params: idParams('notificationId'),
+    response: message()
+  },
+
+  readAllNotifications: {
+    summary: 'Mark every notification as read',
+    response: message()
+  },
+
+  listBookmarks: {
+    summary: "List the user's bookmarks, newest first",
+    query: object(pagination({ limit: 50 })),
+    response: page(models.bookmark)
+  },
+
+  addBookmark: {
+    summary: 'Bookmark a post',
+    body: object({
+      postId: id,
+      communityId: id,
+      postType: text(20)
+    }, ['postId', 'communityId']),
+    response: message()
+  },
+
+  bookmark: {
+    summary: 'Remove a bookmark',
+    params: idParams('bookmarkId'),
+    response: message()
+  }
+};
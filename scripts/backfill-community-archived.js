@@ -0,0 +1,34 @@
+// Mark communities created before archiving existed as not archived, so
+// community listings (which only show archived == false) include them:
+//   node scripts/backfill-community-archived.js
+// This must run before a deployment with archiving serves traffic, or older
+// communities drop out of listings and category counts. `npm run migrate`
+// runs it, and railway.toml runs that before every deploy; run it by hand
+// before deploying anywhere else.
+// It only updates communities without the field, so it is safe to rerun.
+require('dotenv').config();
+const admin = require('firebase-admin');
+const { getConfig } = require('../config');
+const { initFirebase } = require('../services/firebase');
+
+const BATCH_SIZE = 400;
+
+const main = async () => {
+  initFirebase(getConfig().firebase);
+
+  const snapshot = await admin.firestore().collection('communities').get();
+  const missing = snapshot.docs.filter(doc => doc.get('archived') === undefined);
+
+  for (let start = 0; start < missing.length; start += BATCH_SIZE) {
+    const batch = admin.firestore().batch();
+    missing.slice(start, start + BATCH_SIZE).forEach(doc => batch.update(doc.ref, { archived: false }));
+    await batch.commit();
+  }
+
+  console.log(`✅ Backfilled ${missing.length} of ${snapshot.size} communities`);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
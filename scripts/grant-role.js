@@ -0,0 +1,31 @@
+// Bootstrap platform roles from the command line, e.g. the first superadmin:
+//   node scripts/grant-role.js someone@annauniv.edu superadmin
+require('dotenv').config();
+const admin = require('firebase-admin');
+const { getConfig } = require('../config');
+const { initFirebase } = require('../services/firebase');
+const { ROLES, grantRole, hasPermission } = require('../services/permissions');
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/grant-role.js <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  initFirebase(getConfig().firebase);
+
+  const userRecord = await admin.auth().getUserByEmail(email);
+  const roles = await grantRole(userRecord.uid, role);
+
+  console.log(`✅ ${email} now has roles: ${roles.join(', ')}`);
+  if (hasPermission({ roles }, 'roles:manage')) {
+    console.log('   Managing roles through the API also needs two-factor authentication enabled on the account');
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+// Move communities from free-text categories to the managed category list:
+//   node scripts/migrate-community-categories.js [--dry-run] [--map "Tech=technical" ...]
+// `npm run migrate` runs it before every deploy (see railway.toml), since
+// community creation only accepts managed categories. It seeds the default
+// categories when there are none yet, then files each community
+// whose category isn't a known slug under the category whose slug or name
+// matches it, ignoring case and punctuation ("Social service" -> social-service),
+// or under the built-in alias for it ("Tech" -> technical, see CATEGORY_ALIASES).
+// --map files a value under a category of your choice. Anything else goes to
+// "other", so do a --dry-run before the first deploy: it lists every value and
+// where it would go.
+require('dotenv').config();
+const admin = require('firebase-admin');
+const { getConfig } = require('../config');
+const { initFirebase } = require('../services/firebase');
+const { DEFAULT_CATEGORIES, FALLBACK_CATEGORY, slugify, matchCategory } = require('../services/categories');
+
+const BATCH_SIZE = 400;
+
+const parseArgs = (args) => {
+  const options = { dryRun: false, map: new Map() };
+
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[index] === '--map' && args[index + 1]?.includes('=')) {
+      const [value, slug] = args[++index].split('=');
+      options.map.set(slugify(value), slug);
+    } else {
+      throw new Error('Usage: node scripts/migrate-community-categories.js [--dry-run] [--map "<value>=<slug>" ...]');
+    }
+  }
+  return options;
+};
+
+const main = async () => {
+  const { dryRun, map } = parseArgs(process.argv.slice(2));
+
+  initFirebase(getConfig().firebase);
+  const db = admin.firestore();
+
+  // Seed the defaults into a new deployment; after that the list is the
+  // superadmins' to change, so categories they removed stay removed
+  const existing = await db.collection('categories').get();
+  const missing = existing.empty ? [...DEFAULT_CATEGORIES] : [];
+
+  const categories = [
+    ...existing.docs.map(doc => ({ slug: doc.id, name: doc.get('name') })),
+    ...missing
+  ];
+  const slugs = new Set(categories.map(({ slug }) => slug));
+
+  const unknownTargets = [...map.values()].filter(slug => !slugs.has(slug));
+  if (unknownTargets.length > 0) {
+    throw new Error(`No such categories: ${unknownTargets.join(', ')}`);
+  }
+
+  const snapshot = await db.collection('communities').get();
+  const changes = new Map();
+  const updates = [];
+
+  snapshot.docs.forEach(doc => {
+    const current = doc.get('category');
+    if (slugs.has(current)) {
+      return;
+    }
+
+    const key = slugify(current || '');
+    const category = map.get(key) || matchCategory(key, categories) || FALLBACK_CATEGORY;
+
+    const change = `${JSON.stringify(current ?? null)} -> ${category}`;
+    changes.set(change, (changes.get(change) || 0) + 1);
+    updates.push({ ref: doc.ref, category, matched: category !== FALLBACK_CATEGORY || key === FALLBACK_CATEGORY });
+  });
+
+  // Communities that match nothing need the fallback, even if it was removed
+  if (updates.some(({ category }) => category === FALLBACK_CATEGORY) && !slugs.has(FALLBACK_CATEGORY)) {
+    missing.push(DEFAULT_CATEGORIES.find(({ slug }) => slug === FALLBACK_CATEGORY));
+  }
+
+  if (!dryRun) {
+    await Promise.all(missing.map(({ slug, ...data }) => db.collection('categories').doc(slug).create({
+      ...data,
+      slug,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    })));
+  }
+  console.log(`${dryRun ? 'Would add' : 'Added'} ${missing.length} default categories`);
+
+  if (!dryRun) {
+    for (let start = 0; start < updates.length; start += BATCH_SIZE) {
+      const batch = db.batch();
+      updates.slice(start, start + BATCH_SIZE).forEach(({ ref, category }) => batch.update(ref, { category }));
+      await batch.commit();
+    }
+  }
+
+  changes.forEach((count, change) => console.log(`  ${change} (${count})`));
+
+  const unmatched = updates.filter(update => !update.matched).length;
+  if (unmatched > 0) {
+    console.log(`⚠️  ${unmatched} communities matched no category and are filed under "${FALLBACK_CATEGORY}"; `
+      + 'use --map to file them elsewhere');
+  }
+  console.log(`✅ ${dryRun ? 'Would move' : 'Moved'} ${updates.length} of ${snapshot.size} communities`);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
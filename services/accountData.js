@@ -0,0 +1,147 @@
+const { getRepositories } = require('../repositories');
+const { getIdentity } = require('./identity');
+
+const DELETED_AUTHOR = {
+  author: null,
+  authorName: 'Deleted user',
+  authorPhoto: null
+};
+
+// Everything we hold about a user, as one JSON-ready archive
+const exportUserData = async (uid) => {
+  const repositories = getRepositories();
+
+  const [
+    profile,
+    posts,
+    pendingPosts,
+    comments,
+    messages,
+    bookmarks,
+    notifications,
+    sessions,
+    twoFactor,
+    followedCommunities,
+    joinRequests,
+    groups
+  ] = await Promise.all([
+    repositories.users.get(uid),
+    repositories.posts.listByAuthor(uid),
+    repositories.pendingPosts.listByAuthor(uid),
+    repositories.comments.listByAuthor(uid),
+    repositories.messages.listByAuthor(uid),
+    repositories.bookmarks.list(uid),
+    repositories.notifications.list(uid),
+    repositories.sessions.list(uid),
+    repositories.twoFactor.get(uid),
+    repositories.communities.listFollowedBy(uid),
+    repositories.joinRequests.listByUser(uid),
+    repositories.groups.listForMember(uid)
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    uid,
+    profile,
+    posts,
+    pendingPosts,
+    comments,
+    groupMessages: messages,
+    bookmarks,
+    notifications,
+    sessions,
+    // The secret and recovery code hashes stay out of the archive
+    twoFactor: {
+      enabled: Boolean(twoFactor?.enabled),
+      recoveryCodesRemaining: twoFactor?.enabled ? twoFactor.recoveryCodes?.length || 0 : 0
+    },
+    followedCommunities: followedCommunities.map(community => ({ id: community.id, name: community.name })),
+    joinRequests,
+    groups: groups.map(group => ({ id: group.id, name: group.name }))
+  };
+};
+
+// Remove a user's personal data. Posts, comments and group messages are kept
+// for the people who replied to them but no longer point back to the user.
+// Returns counts of what was touched.
+const deleteUserData = async (uid) => {
+  const repositories = getRepositories();
+  const counts = {};
+
+  const [
+    posts,
+    pendingPosts,
+    comments,
+    messages,
+    likedPosts,
+    followedCommunities,
+    groups,
+    adminCommunities,
+    moderatedCommunities,
+    pendingJoinRequests,
+    adminGroups
+  ] = await Promise.all([
+    repositories.posts.listByAuthor(uid),
+    repositories.pendingPosts.listByAuthor(uid),
+    repositories.comments.listByAuthor(uid),
+    repositories.messages.listByAuthor(uid),
+    repositories.posts.listLikedBy(uid),
+    repositories.communities.listFollowedBy(uid),
+    repositories.groups.listForMember(uid),
+    repositories.communities.listAdministeredBy(uid),
+    repositories.communities.listModeratedBy(uid),
+    repositories.joinRequests.listByUser(uid),
+    repositories.groups.listAdministeredBy(uid)
+  ]);
+
+  // Anonymise authored content
+  await Promise.all([
+    ...posts.map(post => repositories.posts.update(post.communityId, post.id, DELETED_AUTHOR)),
+    ...comments.map(comment => {
+      return repositories.comments.update(comment.communityId, comment.postId, comment.id, DELETED_AUTHOR);
+    }),
+    ...messages.map(message => repositories.messages.update(message.groupId, message.id, DELETED_AUTHOR))
+  ]);
+  counts.posts = posts.length;
+  counts.comments = comments.length;
+  counts.groupMessages = messages.length;
+
+  // Posts nobody has approved yet were never seen, so they go entirely
+  await Promise.all(pendingPosts.map(post => repositories.pendingPosts.delete(post.communityId, post.id)));
+  counts.pendingPosts = pendingPosts.length;
+
+  // Pull the uid out of likes, followers and members
+  await Promise.all([
+    ...likedPosts.map(post => repositories.posts.removeLike(post.communityId, post.id, uid)),
+    ...followedCommunities.map(community => repositories.communities.removeFollower(community.id, uid)),
+    ...moderatedCommunities.map(community => repositories.communities.removeModerator(community.id, uid)),
+    ...pendingJoinRequests.map(request => repositories.joinRequests.delete(request.communityId, uid)),
+    ...groups.map(group => repositories.groups.removeMember(group.id, uid))
+  ]);
+  counts.likes = likedPosts.length;
+  counts.communities = followedCommunities.length;
+  counts.groups = groups.length;
+
+  // Communities and groups the user ran stay up for platform moderators to reassign
+  await Promise.all([
+    ...adminCommunities.map(community => {
+      return repositories.communities.update(community.id, { admin: null, adminName: 'Deleted user' });
+    }),
+    ...adminGroups.map(group => repositories.groups.update(group.id, { admin: null }))
+  ]);
+
+  // Delete the two-factor secret and recovery codes, then the profile and
+  // everything under it (bookmarks, notifications, sessions)
+  await repositories.twoFactor.delete(uid);
+  await repositories.users.delete(uid);
+
+  await getIdentity().revokeRefreshTokens(uid);
+  await getIdentity().deleteUser(uid);
+
+  return counts;
+};
+
+module.exports = {
+  exportUserData,
+  deleteUserData
+};
@@ -0,0 +1,41 @@
+const { getRepositories } = require('../repositories');
+const { getContext } = require('./requestContext');
+const { logger } = require('./logger');
+
+// Audit trail of security-relevant actions, kept apart from the request logs
+// and only ever appended to. Each entry records:
+//   action    dotted name, e.g. auth.otp.sent or admin.role.granted
+//   outcome   success or failure
+//   actor     uid of the signed-in user who acted, or null before sign-in
+//   target    what was acted on, prefixed with its kind: user:<uid>,
+//             email:<address>, session:<id>, community:<id>, ...
+//   details   anything else worth keeping, e.g. the role granted
+// plus the request id and client IP of the request it came from.
+
+const OUTCOMES = ['success', 'failure'];
+
+// Record an entry. Failures to write are logged rather than failing the
+// action being audited.
+const recordAudit = async (action, { actor, target = null, outcome = 'success', details = {} } = {}) => {
+  const context = getContext();
+  const entry = {
+    action,
+    outcome,
+    actor: actor !== undefined ? actor : context?.req.user?.uid || null,
+    target,
+    details,
+    requestId: context?.requestId || null,
+    ip: context?.req.ip || null
+  };
+
+  try {
+    await getRepositories().auditLog.append(entry);
+  } catch (error) {
+    logger.error('Error writing audit entry', error, { audit: entry });
+  }
+};
+
+module.exports = {
+  OUTCOMES,
+  recordAudit
+};
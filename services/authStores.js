@@ -0,0 +1,27 @@
+const { createOtpStore } = require('./otpStore');
+const { createOtpThrottle } = require('./otpThrottle');
+const { getConfig } = require('../config');
+
+// The short-lived sign-in state, shared by the auth routes that use it and
+// the job that purges what has expired. Firestore in production, in-memory
+// for local runs (OTP_STORE).
+let stores = null;
+
+const getAuthStores = () => {
+  if (!stores) {
+    const { otpStore } = getConfig();
+    stores = {
+      // Emailed one-time codes
+      otp: createOtpStore(otpStore),
+      // Sign-in link nonces, kept apart from OTPs so one doesn't replace the other
+      link: createOtpStore(otpStore, { collection: 'authLinks' }),
+      // Pending second-factor challenges issued after the email step
+      mfa: createOtpStore(otpStore, { collection: 'mfaChallenges' }),
+      // Resend cooldown, daily quotas and lockouts for OTP requests
+      throttle: createOtpThrottle(otpStore)
+    };
+  }
+  return stores;
+};
+
+module.exports = { getAuthStores };
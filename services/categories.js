@@ -0,0 +1,76 @@
+// Community categories are a managed list, stored by slug in `categories` and
+// edited by superadmins. Communities keep the slug in their `category` field.
+
+// The list a new deployment starts with. scripts/migrate-community-categories.js
+// seeds them into an empty list before every deploy (`npm run migrate`); the
+// in-memory store starts with them.
+const DEFAULT_CATEGORIES = [
+  { slug: 'academics', name: 'Academics', icon: '📚' },
+  { slug: 'technical', name: 'Technical', icon: '💻' },
+  { slug: 'cultural', name: 'Cultural', icon: '🎭' },
+  { slug: 'sports', name: 'Sports', icon: '⚽' },
+  { slug: 'careers', name: 'Careers & Placements', icon: '💼' },
+  { slug: 'arts', name: 'Arts', icon: '🎨' },
+  { slug: 'social-service', name: 'Social Service', icon: '🤝' },
+  { slug: 'other', name: 'Other', icon: '🏷️' }
+];
+
+// Common free-text categories that match no default by slug or name, by
+// their slugified value
+const CATEGORY_ALIASES = {
+  tech: 'technical',
+  technology: 'technical',
+  coding: 'technical',
+  programming: 'technical',
+  cs: 'technical',
+  'computer-science': 'technical',
+  career: 'careers',
+  placement: 'careers',
+  placements: 'careers',
+  jobs: 'careers',
+  sport: 'sports',
+  games: 'sports',
+  culture: 'cultural',
+  music: 'cultural',
+  dance: 'cultural',
+  academic: 'academics',
+  study: 'academics',
+  studies: 'academics',
+  art: 'arts',
+  nss: 'social-service',
+  volunteering: 'social-service'
+};
+
+// Where communities go when their old free-text category matches nothing
+const FALLBACK_CATEGORY = 'other';
+
+// Lowercase words joined by hyphens, e.g. "careers" or "social-service"
+const SLUG_PATTERN = '^[a-z0-9]+(-[a-z0-9]+)*$';
+
+// "Social Service!" -> "social-service"
+const slugify = (value) => String(value)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// The slug of the category a free-text value such as "Tech" or "Social
+// service" stands for: the one whose slug or name it matches, ignoring case
+// and punctuation, else the one it is an alias for. Aliases only apply while
+// their category exists. Null when nothing matches.
+const matchCategory = (value, categories) => {
+  const key = slugify(value);
+  const match = categories.find(({ slug, name }) => slugify(slug) === key || slugify(name) === key)
+    || categories.find(({ slug }) => slug === CATEGORY_ALIASES[key]);
+
+  return match ? match.slug : null;
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  CATEGORY_ALIASES,
+  FALLBACK_CATEGORY,
+  SLUG_PATTERN,
+  slugify,
+  matchCategory
+};
@@ -0,0 +1,42 @@
+const admin = require('firebase-admin');
+
+// Initialise the default Firebase app once. With no service account config,
+// firebase-admin falls back to GOOGLE_APPLICATION_CREDENTIALS.
+const initFirebase = (firebaseConfig) => {
+  if (admin.apps.length) {
+    return admin.app();
+  }
+
+  return admin.initializeApp(firebaseConfig
+    ? { credential: admin.credential.cert(firebaseConfig) }
+    : undefined);
+};
+
+const DELETE_BATCH_SIZE = 400;
+
+// Delete every document a query matches, a batch at a time so large
+// result sets stay within Firestore's write limits. Returns how many were
+// deleted. Stops between batches once `signal` is aborted.
+const deleteInBatches = async (query, { batchSize = DELETE_BATCH_SIZE, signal } = {}) => {
+  let deleted = 0;
+
+  while (!signal?.aborted) {
+    const snapshot = await query.limit(batchSize).get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = admin.firestore().batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+
+    if (snapshot.size < batchSize) {
+      break;
+    }
+  }
+
+  return deleted;
+};
+
+module.exports = { initFirebase, deleteInBatches };
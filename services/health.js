@@ -0,0 +1,85 @@
+const { getRepositories } = require('../repositories');
+const { getMailer } = require('./mailer');
+const { logger } = require('./logger');
+
+// Readiness checks for /api/health/ready: can this instance reach its data
+// store and authenticate with its mail transport? Each check has a timeout,
+// and results are reused briefly so frequent probes don't open a new SMTP
+// connection every time.
+
+const CHECK_TIMEOUT_MS = 3000;
+const RESULT_TTL_MS = 10 * 1000;
+
+const CHECKS = {
+  dataStore: () => getRepositories().ping(),
+  mail: () => getMailer().verify()
+};
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const runCheck = async (name, check) => {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT_MS);
+    return { status: 'ok', durationMs: Date.now() - startedAt };
+  } catch (error) {
+    // Details stay in the logs; the probe response is public
+    logger.warn(`Readiness check failed: ${name}`, error);
+    return { status: 'failed', durationMs: Date.now() - startedAt };
+  }
+};
+
+let draining = false;
+let lastResult = null;
+let lastCheckedAt = 0;
+let pending = null;
+
+// Once the server starts shutting down it reports not ready, so the
+// platform stops sending it traffic while in-flight requests finish
+const startDraining = () => {
+  draining = true;
+};
+
+// Returns { ready, draining, checks: { name: { status, durationMs } } }
+const checkReadiness = async () => {
+  if (draining) {
+    return { ready: false, draining: true, checks: {} };
+  }
+
+  if (lastResult && Date.now() - lastCheckedAt < RESULT_TTL_MS) {
+    return lastResult;
+  }
+
+  // Concurrent probes share one round of checks
+  if (!pending) {
+    pending = (async () => {
+      const entries = await Promise.all(
+        Object.entries(CHECKS).map(async ([name, check]) => [name, await runCheck(name, check)])
+      );
+      const checks = Object.fromEntries(entries);
+
+      lastResult = {
+        ready: Object.values(checks).every(check => check.status === 'ok'),
+        draining: false,
+        checks
+      };
+      lastCheckedAt = Date.now();
+      return lastResult;
+    })().finally(() => {
+      pending = null;
+    });
+  }
+
+  return pending;
+};
+
+module.exports = {
+  checkReadiness,
+  startDraining
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { getConfig } = require('../config');
+
+// Sign-in accounts and tokens. Normally Firebase Auth; with DATA_STORE=memory
+// an in-process stand-in keeps accounts in memory and signs its own tokens,
+// so the API can be driven with no Firebase project.
+
+const TOKEN_TTL_MS = 60 * 60 * 1000; // Firebase ID tokens also last an hour
+
+const authError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const createFirebaseIdentity = () => ({
+  getUser: (uid) => admin.auth().getUser(uid),
+
+  // Returns null when no account uses the address
+  async findUserByEmail(email) {
+    try {
+      return await admin.auth().getUserByEmail(email);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  createUser: (properties) => admin.auth().createUser(properties),
+  setCustomUserClaims: (uid, claims) => admin.auth().setCustomUserClaims(uid, claims),
+  createCustomToken: (uid, developerClaims) => admin.auth().createCustomToken(uid, developerClaims),
+  verifyIdToken: (token, checkRevoked) => admin.auth().verifyIdToken(token, checkRevoked),
+  revokeRefreshTokens: (uid) => admin.auth().revokeRefreshTokens(uid),
+  deleteUser: (uid) => admin.auth().deleteUser(uid)
+});
+
+// Local stand-in. Its "custom tokens" are HMAC-signed and are accepted
+// directly as bearer tokens, since there is no client SDK to exchange them.
+const createMemoryIdentity = ({ secret }) => {
+  const accounts = new Map();
+  // Millisecond revocation times; tokensValidAfterTime only keeps whole seconds
+  const revokedBefore = new Map();
+
+  const sign = (payload) => {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  };
+
+  const getAccount = (uid) => {
+    const account = accounts.get(uid);
+    if (!account) {
+      throw authError('auth/user-not-found', `No user record for uid ${uid}`);
+    }
+    return account;
+  };
+
+  return {
+    async getUser(uid) {
+      return structuredClone(getAccount(uid));
+    },
+
+    async findUserByEmail(email) {
+      const account = [...accounts.values()].find(user => user.email === email.toLowerCase());
+      return account ? structuredClone(account) : null;
+    },
+
+    async createUser({ email, emailVerified = false, displayName = null, photoURL = null }) {
+      const uid = crypto.randomBytes(14).toString('base64url');
+      accounts.set(uid, {
+        uid,
+        email: email.toLowerCase(),
+        emailVerified,
+        displayName,
+        photoURL,
+        customClaims: {},
+        tokensValidAfterTime: new Date(0).toUTCString()
+      });
+      return structuredClone(accounts.get(uid));
+    },
+
+    async setCustomUserClaims(uid, claims) {
+      getAccount(uid).customClaims = { ...claims };
+    },
+
+    async createCustomToken(uid, developerClaims = {}) {
+      const payload = Buffer.from(JSON.stringify({
+        uid,
+        claims: developerClaims,
+        iat: Date.now()
+      })).toString('base64url');
+      return `${payload}.${sign(payload)}`;
+    },
+
+    async verifyIdToken(token, checkRevoked = false) {
+      const [payload, signature] = String(token).split('.');
+      const expected = payload ? sign(payload) : '';
+      if (!signature || signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw authError('auth/argument-error', 'Token signature is invalid');
+      }
+
+      const { uid, claims, iat } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (Date.now() - iat > TOKEN_TTL_MS) {
+        throw authError('auth/id-token-expired', 'Token has expired');
+      }
+
+      const account = getAccount(uid);
+      if (checkRevoked && iat < (revokedBefore.get(uid) || 0)) {
+        throw authError('auth/id-token-revoked', 'Token has been revoked');
+      }
+
+      // Same shape as a decoded Firebase ID token
+      return {
+        ...account.customClaims,
+        ...claims,
+        uid,
+        sub: uid,
+        email: account.email,
+        email_verified: account.emailVerified,
+        ...(account.displayName && { name: account.displayName }),
+        ...(account.photoURL && { picture: account.photoURL }),
+        iat: Math.floor(iat / 1000),
+        auth_time: Math.floor(iat / 1000)
+      };
+    },
+
+    async revokeRefreshTokens(uid) {
+      const now = Date.now();
+      getAccount(uid).tokensValidAfterTime = new Date(now).toUTCString();
+      revokedBefore.set(uid, now);
+    },
+
+    async deleteUser(uid) {
+      getAccount(uid);
+      accounts.delete(uid);
+      revokedBefore.delete(uid);
+    }
+  };
+};
+
+const createIdentity = (type = 'firestore', options = {}) => {
+  if (type === 'firestore') {
+    return createFirebaseIdentity();
+  }
+  if (type === 'memory') {
+    return createMemoryIdentity(options);
+  }
+  throw new Error(`Unknown DATA_STORE "${type}"`);
+};
+
+let identity = null;
+
+// Accounts for this process, following DATA_STORE like the repositories do
+const getIdentity = () => {
+  if (!identity) {
+    const config = getConfig();
+    identity = createIdentity(config.dataStore, { secret: config.authLinkSecret });
+  }
+  return identity;
+};
+
+module.exports = {
+  createIdentity,
+  createFirebaseIdentity,
+  createMemoryIdentity,
+  getIdentity
+};
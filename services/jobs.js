@@ -0,0 +1,202 @@
+const { logger } = require('./logger');
+const { jobRuns, jobDuration } = require('./metrics');
+
+// Named background jobs run by this instance:
+//   scheduleJob('auth-store-sweep', { intervalMs }, run)   every intervalMs
+//   scheduleJob('publish-post:abc', { runAt }, run)        once, at runAt
+// A recurring job that is still running when its next run is due skips that
+// run instead of overlapping with itself. Failures are logged and counted,
+// and the job carries on. Every instance runs its own jobs, so handlers must
+// be safe to run on several instances at once.
+//
+// Handlers get { signal }, an AbortSignal that fires when the server shuts
+// down; long jobs should check it between steps and return early.
+
+// setTimeout can't wait longer than this; later one-off jobs wait in steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const STOP_TIMEOUT_MS = 10 * 1000;
+
+const jobs = new Map();
+const controller = new AbortController();
+let stopped = false;
+
+const finish = (job, startedAt, error) => {
+  const durationMs = Date.now() - startedAt;
+  const outcome = error ? 'failure' : 'success';
+
+  job.running = null;
+  job.runs++;
+  job.lastFinishedAt = new Date();
+  job.lastDurationMs = durationMs;
+  job.lastOutcome = outcome;
+  job.lastError = error ? error.message : null;
+
+  jobRuns.inc({ job: job.name, outcome });
+  jobDuration.observe({ job: job.name }, durationMs / 1000);
+
+  if (error) {
+    job.failures++;
+    logger.error(`Job failed: ${job.name}`, error, { job: job.name, durationMs });
+  } else {
+    logger.debug(`Job finished: ${job.name}`, { job: job.name, durationMs });
+  }
+};
+
+const execute = (job) => {
+  if (job.running) {
+    job.skipped++;
+    jobRuns.inc({ job: job.name, outcome: 'skipped' });
+    logger.warn(`Job still running, skipped a run: ${job.name}`, { job: job.name });
+    return job.running;
+  }
+
+  const startedAt = Date.now();
+  job.lastStartedAt = new Date(startedAt);
+  job.running = Promise.resolve()
+    .then(() => job.run({ signal: controller.signal }))
+    .then(() => finish(job, startedAt, null), error => finish(job, startedAt, error));
+  return job.running;
+};
+
+// Timers don't keep the process alive; the HTTP server does
+const setTimer = (fn, ms) => {
+  const timer = setTimeout(fn, ms);
+  timer.unref();
+  return timer;
+};
+
+const armRecurring = (job) => {
+  job.nextRunAt = new Date(Date.now() + job.intervalMs);
+  job.timer = setTimer(() => {
+    armRecurring(job);
+    execute(job);
+  }, job.intervalMs);
+};
+
+const armOnce = (job) => {
+  const delay = job.nextRunAt.getTime() - Date.now();
+  if (delay > MAX_TIMER_MS) {
+    job.timer = setTimer(() => armOnce(job), MAX_TIMER_MS);
+    return;
+  }
+
+  job.timer = setTimer(() => {
+    job.timer = null;
+    job.nextRunAt = null;
+    execute(job);
+  }, Math.max(0, delay));
+};
+
+// Schedule a recurring job ({ intervalMs }) or a one-off job ({ runAt } or
+// { delayMs }). Names are unique; a one-off job may reuse the name of one
+// that has already run, which replaces its status.
+const scheduleJob = (name, { intervalMs, runAt, delayMs } = {}, run) => {
+  if (stopped) {
+    throw new Error(`Cannot schedule job "${name}": jobs have been stopped`);
+  }
+
+  const existing = jobs.get(name);
+  if (existing && (existing.timer || existing.running)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  const recurring = intervalMs !== undefined;
+  if (recurring && !(intervalMs > 0)) {
+    throw new Error(`Job "${name}" needs a positive intervalMs`);
+  }
+  if (!recurring && runAt === undefined && delayMs === undefined) {
+    throw new Error(`Job "${name}" needs intervalMs, runAt or delayMs`);
+  }
+
+  const job = {
+    name,
+    type: recurring ? 'recurring' : 'once',
+    intervalMs: recurring ? intervalMs : null,
+    run,
+    timer: null,
+    running: null,
+    nextRunAt: recurring ? null : new Date(runAt !== undefined ? runAt : Date.now() + delayMs),
+    lastStartedAt: null,
+    lastFinishedAt: null,
+    lastDurationMs: null,
+    lastOutcome: null,
+    lastError: null,
+    runs: 0,
+    failures: 0,
+    skipped: 0
+  };
+  jobs.set(name, job);
+
+  if (recurring) {
+    armRecurring(job);
+  } else {
+    armOnce(job);
+  }
+};
+
+// Cancel a job's future runs. A run already in progress is left to finish.
+const cancelJob = (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    return false;
+  }
+  clearTimeout(job.timer);
+  job.timer = null;
+  job.nextRunAt = null;
+  if (!job.running) {
+    jobs.delete(name);
+  }
+  return true;
+};
+
+// Status of every known job, for GET /api/admin/jobs
+const listJobs = () => {
+  return [...jobs.values()].map(job => ({
+    name: job.name,
+    type: job.type,
+    intervalMs: job.intervalMs,
+    running: Boolean(job.running),
+    nextRunAt: job.nextRunAt,
+    lastStartedAt: job.lastStartedAt,
+    lastFinishedAt: job.lastFinishedAt,
+    lastDurationMs: job.lastDurationMs,
+    lastOutcome: job.lastOutcome,
+    lastError: job.lastError,
+    runs: job.runs,
+    failures: job.failures,
+    skipped: job.skipped
+  }));
+};
+
+// Stop scheduling runs, signal running jobs to wrap up and wait for them,
+// up to timeoutMs. Resolves to the names of any jobs still running.
+const stopJobs = async ({ timeoutMs = STOP_TIMEOUT_MS } = {}) => {
+  stopped = true;
+  jobs.forEach(job => {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+  });
+  controller.abort();
+
+  const running = [...jobs.values()].filter(job => job.running);
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, timeoutMs);
+  });
+  await Promise.race([Promise.all(running.map(job => job.running)), timeout]);
+  clearTimeout(timer);
+
+  const unfinished = running.filter(job => job.running).map(job => job.name);
+  if (unfinished.length > 0) {
+    logger.warn('Jobs still running at shutdown', { jobs: unfinished });
+  }
+  return unfinished;
+};
+
+module.exports = {
+  scheduleJob,
+  cancelJob,
+  listJobs,
+  stopJobs
+};
@@ -0,0 +1,68 @@
+const { getConfig } = require('../config');
+const { getContext } = require('./requestContext');
+
+// Structured logs: one JSON object per line, with the request id and uid of
+// the request being handled added automatically. Takes the same arguments as
+// console.error so call sites read the same:
+//   logger.error('Error creating post', error);
+//   logger.info('Server started', { port });
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack
+});
+
+// Turn the arguments after the message into fields: Errors under `error`,
+// objects merged in as they are
+const toFields = (details) => {
+  return details.reduce((fields, detail) => {
+    if (detail instanceof Error) {
+      return { ...fields, error: serializeError(detail) };
+    }
+    if (detail && typeof detail === 'object') {
+      return { ...fields, ...detail };
+    }
+    return detail === undefined ? fields : { ...fields, detail };
+  }, {});
+};
+
+const contextFields = () => {
+  const context = getContext();
+  if (!context) {
+    return {};
+  }
+  return {
+    requestId: context.requestId,
+    ...(context.req.user?.uid && { uid: context.req.user.uid })
+  };
+};
+
+const write = (level, message, details) => {
+  if (LEVELS[level] < LEVELS[getConfig().logLevel]) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...contextFields(),
+    ...toFields(details)
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+  debug: (message, ...details) => write('debug', message, details),
+  info: (message, ...details) => write('info', message, details),
+  warn: (message, ...details) => write('warn', message, details),
+  error: (message, ...details) => write('error', message, details)
+};
+
+module.exports = { logger };
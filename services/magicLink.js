@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+const LINK_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+const sign = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+};
+
+// Signed token carrying the email, a one-time nonce, an expiry and what the
+// token is for ("sign-in" links, "mfa" challenges). The nonce is also kept in
+// an OTP store so each token works only once.
+const createLinkToken = (email, secret, { ttlMs = LINK_TTL_MS, purpose = 'sign-in' } = {}) => {
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = Date.now() + ttlMs;
+  const payload = Buffer.from(JSON.stringify({ email, nonce, exp: expiresAt, purpose })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload, secret)}`,
+    nonce,
+    expiresAt: new Date(expiresAt)
+  };
+};
+
+// Returns { email, nonce, expiresAt, expired } for a correctly signed token of the given
+// purpose, otherwise null
+const parseLinkToken = (token, secret, purpose = 'sign-in') => {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (data.purpose !== purpose) {
+      return null;
+    }
+    return { email: data.email, nonce: data.nonce, expiresAt: new Date(data.exp), expired: Date.now() > data.exp };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  LINK_TTL_MS,
+  createLinkToken,
+  parseLinkToken
+};
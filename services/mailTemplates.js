@@ -0,0 +1,140 @@
+// Named email templates. Each template takes its variables and returns
+// { subject, text, html }; every value is escaped before it reaches the HTML.
+
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Shared branded frame around every HTML email
+const layout = (content) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <div style="background: linear-gradient(135deg, #36B3A1 0%, #6B5A5A 100%); padding: 20px; text-align: center;">
+      <h1 style="color: white; margin: 0;">CEG Connect</h1>
+      <p style="color: white; margin: 5px 0 0 0;">Your College Community</p>
+    </div>
+
+    <div style="padding: 30px; background: #f9f9f9;">
+      ${content}
+    </div>
+
+    <div style="background: #333; color: white; padding: 20px; text-align: center; font-size: 12px;">
+      <p style="margin: 0;">© ${new Date().getFullYear()} CEG Connect. College of Engineering, Guindy.</p>
+    </div>
+  </div>
+`;
+
+const textFooter = '\n\n-- \nCEG Connect, College of Engineering, Guindy';
+
+const templates = {
+  otp: ({ otp, expiresInMinutes = 5 }) => ({
+    subject: 'CEG Connect - Your OTP Code',
+    text: `Your CEG Connect verification code is ${otp}.\n\n`
+      + `This code will expire in ${expiresInMinutes} minutes. `
+      + 'If you didn\'t request this code, please ignore this email.'
+      + textFooter,
+    html: layout(`
+      <h2 style="color: #333; margin-bottom: 20px;">Your Verification Code</h2>
+      <p style="color: #666; margin-bottom: 30px;">
+        Use the following code to verify your email address:
+      </p>
+
+      <div style="background: white; padding: 20px; border-radius: 8px; text-align: center; border: 2px solid #36B3A1;">
+        <h1 style="color: #36B3A1; font-size: 32px; margin: 0; letter-spacing: 5px;">${escapeHtml(otp)}</h1>
+      </div>
+
+      <p style="color: #666; margin-top: 20px; font-size: 14px;">
+        This code will expire in ${escapeHtml(expiresInMinutes)} minutes. If you didn't request this code, please ignore this email.
+      </p>
+    `)
+  }),
+
+  magicLink: ({ link, expiresInMinutes = 15 }) => ({
+    subject: 'CEG Connect - Your sign-in link',
+    text: `Open this link to sign in to CEG Connect:\n\n${link}\n\n`
+      + `The link works once and expires in ${expiresInMinutes} minutes. `
+      + 'If you didn\'t request it, please ignore this email.'
+      + textFooter,
+    html: layout(`
+      <h2 style="color: #333; margin-bottom: 20px;">Sign in to CEG Connect</h2>
+      <p style="color: #666; margin-bottom: 30px;">
+        Tap the button below to sign in on this device:
+      </p>
+
+      <div style="text-align: center;">
+        <a href="${escapeHtml(link)}" style="display: inline-block; background: #36B3A1; color: white; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">Sign in</a>
+      </div>
+
+      <p style="color: #666; margin-top: 20px; font-size: 14px;">
+        The link works once and expires in ${escapeHtml(expiresInMinutes)} minutes. If you didn't request it, please ignore this email.
+      </p>
+    `)
+  }),
+
+  welcome: ({ name }) => ({
+    subject: 'Welcome to CEG Connect',
+    text: `Hi ${name},\n\n`
+      + 'Your CEG Connect account is ready. Follow communities, join groups '
+      + 'and keep up with everything happening on campus.'
+      + textFooter,
+    html: layout(`
+      <h2 style="color: #333; margin-bottom: 20px;">Welcome, ${escapeHtml(name)}!</h2>
+      <p style="color: #666;">
+        Your CEG Connect account is ready. Follow communities, join groups
+        and keep up with everything happening on campus.
+      </p>
+    `)
+  }),
+
+  // posts: [{ communityName, authorName, text }]
+  digest: ({ name, period = 'weekly', posts = [] }) => ({
+    subject: `Your CEG Connect ${period} digest`,
+    text: `Hi ${name},\n\nHere's what you missed in your communities:\n\n`
+      + posts.map(post => `* [${post.communityName}] ${post.authorName}: ${post.text}`).join('\n')
+      + textFooter,
+    html: layout(`
+      <h2 style="color: #333; margin-bottom: 20px;">Hi ${escapeHtml(name)}, here's what you missed</h2>
+      ${posts.map(post => `
+        <div style="background: white; padding: 15px; border-radius: 8px; margin-bottom: 12px; border-left: 4px solid #36B3A1;">
+          <p style="color: #36B3A1; margin: 0 0 5px 0; font-size: 12px;">${escapeHtml(post.communityName)}</p>
+          <p style="color: #333; margin: 0 0 5px 0; font-weight: bold;">${escapeHtml(post.authorName)}</p>
+          <p style="color: #666; margin: 0;">${escapeHtml(post.text)}</p>
+        </div>
+      `).join('')}
+    `)
+  }),
+
+  moderationNotice: ({ name, action, item = 'post', reason, communityName }) => ({
+    subject: `CEG Connect - Your ${item} was ${action}`,
+    text: `Hi ${name},\n\n`
+      + `Your ${item}${communityName ? ` in ${communityName}` : ''} was ${action} by a moderator.`
+      + (reason ? `\n\nReason: ${reason}` : '')
+      + textFooter,
+    html: layout(`
+      <h2 style="color: #333; margin-bottom: 20px;">Moderation notice</h2>
+      <p style="color: #666;">
+        Hi ${escapeHtml(name)}, your ${escapeHtml(item)}${communityName ? ` in <strong>${escapeHtml(communityName)}</strong>` : ''}
+        was ${escapeHtml(action)} by a moderator.
+      </p>
+      ${reason ? `<p style="color: #666;"><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+    `)
+  })
+};
+
+const renderTemplate = (name, variables = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(variables);
+};
+
+module.exports = {
+  templates,
+  renderTemplate,
+  escapeHtml
+};
@@ -0,0 +1,125 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { getConfig } = require('../config');
+const { renderTemplate } = require('./mailTemplates');
+
+const DEFAULT_OUTBOX_DIR = path.join(os.tmpdir(), 'ceg-connect-outbox');
+
+const transportFactories = {
+  gmail: () => nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.GMAIL_USER,
+      pass: process.env.GMAIL_APP_PASSWORD
+    }
+  }),
+
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  }),
+
+  // Writes each message as a JSON file instead of sending it
+  outbox: ({ outboxDir }) => {
+    const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      async sendMail(mailOptions) {
+        const info = await jsonTransport.sendMail(mailOptions);
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.json`;
+
+        await fs.mkdir(outboxDir, { recursive: true });
+        await fs.writeFile(path.join(outboxDir, fileName), info.message);
+
+        return { ...info, path: path.join(outboxDir, fileName) };
+      },
+
+      async verify() {
+        await fs.mkdir(outboxDir, { recursive: true });
+        return true;
+      }
+    };
+  }
+};
+
+// Pick a transport from MAIL_TRANSPORT ("gmail", "smtp" or "outbox").
+// Defaults to Gmail in production and the local outbox everywhere else.
+const createMailer = ({
+  transport = process.env.MAIL_TRANSPORT,
+  from = process.env.MAIL_FROM || process.env.GMAIL_USER,
+  outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR
+} = {}) => {
+  const transportName = transport || (process.env.NODE_ENV === 'production' ? 'gmail' : 'outbox');
+  const createTransport = transportFactories[transportName];
+
+  if (!createTransport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transportName}"`);
+  }
+
+  const transporter = createTransport({ outboxDir });
+
+  return {
+    transportName,
+    outboxDir,
+
+    // Render a named template and send it with both text and HTML parts
+    async send(templateName, to, variables = {}) {
+      const { subject, text, html } = renderTemplate(templateName, variables);
+
+      return transporter.sendMail({
+        from: from || 'CEG Connect <no-reply@cegconnect.app>',
+        to,
+        subject,
+        text,
+        html
+      });
+    },
+
+    async verify() {
+      return transporter.verify();
+    }
+  };
+};
+
+let mailer = null;
+
+// The mailer for this process, shared by the routes and the readiness check
+const getMailer = () => {
+  if (!mailer) {
+    mailer = createMailer(getConfig().mail);
+  }
+  return mailer;
+};
+
+// Read messages written by the outbox transport, oldest first
+const readOutbox = async (outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR) => {
+  let files;
+  try {
+    files = await fs.readdir(outboxDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const messages = await Promise.all(files
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(async file => JSON.parse(await fs.readFile(path.join(outboxDir, file), 'utf8'))));
+
+  return messages;
+};
+
+module.exports = {
+  createMailer,
+  getMailer,
+  readOutbox
+};
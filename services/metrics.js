@@ -0,0 +1,153 @@
+// Prometheus metrics, kept in process memory and rendered in the text
+// exposition format for GET /metrics. Each instance reports its own numbers;
+// Prometheus adds them up across instances.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = [];
+
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+// Series are keyed by their label values in a fixed order, so
+// { a: 1, b: 2 } and { b: 2, a: 1 } land in the same series
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+
+const pickLabels = (labelNames, labels) => {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+};
+
+const counter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+
+  const metric = {
+    inc(labels = {}, by = 1) {
+      const key = seriesKey(labelNames, labels);
+      const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      current.value += by;
+      series.set(key, current);
+    },
+
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      ];
+    }
+  };
+
+  metrics.push(metric);
+  return metric;
+};
+
+const histogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = new Map();
+
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      const current = series.get(key) || {
+        labels: pickLabels(labelNames, labels),
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          current.counts[index] += 1;
+        }
+      });
+      current.sum += value;
+      current.count += 1;
+      series.set(key, current);
+    },
+
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} histogram`,
+        ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`
+        ])
+      ];
+    }
+  };
+
+  metrics.push(metric);
+  return metric;
+};
+
+// ==================== METRICS ====================
+
+const httpRequests = counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route pattern and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method and route pattern',
+  labelNames: ['method', 'route']
+});
+
+const otpSends = counter({
+  name: 'otp_sends_total',
+  help: 'Sign-in code and link sends by channel (otp, link) and outcome',
+  labelNames: ['channel', 'outcome']
+});
+
+const otpVerifications = counter({
+  name: 'otp_verifications_total',
+  help: 'Sign-in checks of codes, links and two-factor codes by channel (otp, link, 2fa) and outcome',
+  labelNames: ['channel', 'outcome']
+});
+
+const rateLimitRejections = counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests refused by a rate limit or OTP throttle',
+  labelNames: ['limiter']
+});
+
+const jobRuns = counter({
+  name: 'background_job_runs_total',
+  help: 'Background job runs by job name and outcome (success, failure, skipped)',
+  labelNames: ['job', 'outcome']
+});
+
+const jobDuration = histogram({
+  name: 'background_job_duration_seconds',
+  help: 'Background job run time by job name',
+  labelNames: ['job'],
+  buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 300]
+});
+
+const renderMetrics = () => `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+
+module.exports = {
+  counter,
+  histogram,
+  httpRequests,
+  httpRequestDuration,
+  otpSends,
+  otpVerifications,
+  rateLimitRejections,
+  jobRuns,
+  jobDuration,
+  renderMetrics
+};
@@ -0,0 +1,233 @@
+const { version } = require('../package.json');
+const { verifyToken } = require('../middleware/auth');
+const { IDEMPOTENCY_TTL_MS } = require('../middleware/idempotency');
+
+// OpenAPI 3 document for the API routers. Each route is described by the
+// schema its validate() middleware checks requests against (plus the summary
+// and response kept alongside it), and by the auth guards in front of it, so
+// the document follows the code instead of being maintained by hand.
+
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5.17.14';
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', example: 'VALIDATION_ERROR' },
+        message: { type: 'string' },
+        fields: {
+          type: 'object',
+          description: 'Problems per input, keyed like "body.email"',
+          additionalProperties: { type: 'string' }
+        }
+      },
+      required: ['code', 'message'],
+      additionalProperties: true
+    }
+  },
+  required: ['error']
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// Our schemas are close to OpenAPI's, but `required: []` is not allowed there
+const toOpenApiSchema = (schema) => {
+  const { required, properties, items, additionalProperties, ...rest } = schema;
+  const converted = { ...rest };
+
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([name, property]) => [name, toOpenApiSchema(property)])
+    );
+  }
+  if (items) {
+    converted.items = toOpenApiSchema(items);
+  }
+  if (additionalProperties !== undefined) {
+    converted.additionalProperties = typeof additionalProperties === 'object'
+      ? toOpenApiSchema(additionalProperties)
+      : additionalProperties;
+  }
+  if (required?.length) {
+    converted.required = required;
+  }
+  return converted;
+};
+
+const toParameters = (objectSchema, location) => {
+  return Object.entries(objectSchema?.properties || {}).map(([name, property]) => {
+    const { description, deprecated, ...schema } = toOpenApiSchema(property);
+    return {
+      name,
+      in: location,
+      required: location === 'path' || objectSchema.required.includes(name),
+      ...(description && { description }),
+      ...(deprecated && { deprecated }),
+      schema
+    };
+  });
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema: toOpenApiSchema(schema) } });
+
+// Express paths (/posts/:postId) to OpenAPI paths (/posts/{postId})
+const toPath = (mountPath, routePath) => {
+  return `${mountPath}${routePath === '/' ? '' : routePath}`.replace(/:(\w+)/g, '{$1}');
+};
+
+const describeGuards = (handlers) => {
+  return handlers.flatMap(handler => [
+    handler.permission && `Requires the \`${handler.permission}\` permission.`,
+    handler.roles && `Requires one of the roles: ${handler.roles.join(', ')}.`,
+    handler.stepUpMaxAgeMs && `Requires two-factor authentication to be enabled and a step-up (POST /api/auth/2fa/step-up) in the last ${handler.stepUpMaxAgeMs / 60000} minutes.`
+  ]).filter(Boolean);
+};
+
+const IDEMPOTENCY_KEY = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'Makes retries safe: a repeat with the same key and body returns the first response '
+    + '(with Idempotent-Replayed: true) instead of creating again. Kept for '
+    + `${IDEMPOTENCY_TTL_MS / (60 * 60 * 1000)} hours. Reusing a key `
+    + 'with a different body is refused with 422; a repeat while the first is running gets 409.',
+  schema: { type: 'string', maxLength: 255 }
+};
+
+const toOperation = (tag, handlers) => {
+  const schema = handlers.find(handler => handler.schema)?.schema || {};
+  const authenticated = handlers.includes(verifyToken);
+  const guards = describeGuards(handlers);
+  const validated = Boolean(schema.params || schema.query || schema.body);
+
+  return {
+    tags: [tag],
+    ...(schema.summary && { summary: schema.summary }),
+    ...(guards.length > 0 && { description: guards.join(' ') }),
+    security: authenticated ? [{ bearerAuth: [] }] : [],
+    parameters: [
+      ...toParameters(schema.params, 'path'),
+      ...toParameters(schema.query, 'query'),
+      ...(handlers.some(handler => handler.idempotent) ? [IDEMPOTENCY_KEY] : [])
+    ],
+    ...(schema.body && {
+      requestBody: { required: true, content: jsonContent(schema.body) }
+    }),
+    responses: {
+      [schema.status || 200]: {
+        description: 'Success',
+        ...(schema.response && { content: jsonContent(schema.response) })
+      },
+      ...(validated && { 400: { $ref: '#/components/responses/ValidationError' } }),
+      ...(authenticated && { 401: { $ref: '#/components/responses/Unauthorized' } }),
+      ...(guards.length > 0 && { 403: { $ref: '#/components/responses/Forbidden' } }),
+      429: { $ref: '#/components/responses/RateLimited' },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+};
+
+// Build the document from routers keyed by where they are mounted,
+// e.g. { '/api/auth': authRoutes }
+const buildOpenApiDocument = (routers) => {
+  const paths = {};
+
+  Object.entries(routers).forEach(([mountPath, router]) => {
+    const tag = mountPath.split('/').pop();
+
+    router.stack
+      .filter(layer => layer.route)
+      .forEach(({ route }) => {
+        const path = toPath(mountPath, route.path);
+        const handlers = route.stack.map(layer => layer.handle);
+
+        Object.keys(route.methods)
+          .filter(method => method !== '_all')
+          .forEach(method => {
+            paths[path] = { ...paths[path], [method]: toOperation(tag, handlers) };
+          });
+      });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'CEG Connect API',
+      version,
+      description: 'Errors always use the `{ error: { code, message } }` envelope. '
+        + 'Lists are paginated with `limit` and `cursor`: ask for the first page with `paging=cursor`, '
+        + 'then pass back `nextCursor` for the next. Requests with neither `paging=cursor` nor `cursor` '
+        + 'get a bare array of items instead, paged by `offset` (deprecated). '
+        + 'Requests are rate limited per user (per IP when signed out), with separate budgets for '
+        + 'reads, writes, search and sign-in; see the RateLimit-* response headers.'
+    },
+    tags: Object.keys(routers).map(mountPath => ({ name: mountPath.split('/').pop() })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Firebase ID token for the signed-in user'
+        }
+      },
+      schemas: {
+        Error: errorSchema
+      },
+      responses: {
+        ValidationError: errorResponse('Invalid request, with details in error.fields'),
+        Unauthorized: errorResponse('Missing, invalid or revoked token'),
+        Forbidden: errorResponse('Signed in but not allowed'),
+        RateLimited: {
+          ...errorResponse('Over the rate limit for this kind of request; retry after error.retryAfter seconds'),
+          headers: {
+            'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the budget resets' },
+            'RateLimit-Limit': { schema: { type: 'integer' } },
+            'RateLimit-Remaining': { schema: { type: 'integer' } },
+            'RateLimit-Reset': { schema: { type: 'integer' }, description: 'Seconds until the budget resets' }
+          }
+        },
+        Error: errorResponse('Error')
+      }
+    }
+  };
+};
+
+// Swagger UI page for the document at `specUrl`. The inline script carries
+// `nonce`, which the caller must allow in its Content-Security-Policy.
+const renderDocsPage = (specUrl, nonce) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>CEG Connect API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#docs' });
+  </script>
+</body>
+</html>
+`;
+
+const docsPagePolicy = (nonce) => [
+  "default-src 'self'",
+  `script-src ${new URL(SWAGGER_UI).origin} 'nonce-${nonce}'`,
+  `style-src ${new URL(SWAGGER_UI).origin} 'unsafe-inline'`,
+  "img-src 'self' data:",
+  "connect-src 'self'"
+].join('; ');
+
+module.exports = {
+  buildOpenApiDocument,
+  renderDocsPage,
+  docsPagePolicy
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { deleteInBatches } = require('./firebase');
+const { getConfig } = require('../config');
+
+const OTP_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_ATTEMPTS = 3;
+const OTP_COLLECTION = 'otps';
+
+// Only a salted hash of the code is ever stored
+const hashOTP = (otp, salt) => {
+  return crypto.createHmac('sha256', salt).update(String(otp)).digest('hex');
+};
+
+const createRecord = (otp, ttlMs) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return {
+    codeHash: hashOTP(otp, salt),
+    salt,
+    attempts: 0,
+    expiresAt: new Date(Date.now() + ttlMs)
+  };
+};
+
+const matches = (record, otp) => {
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashOTP(otp, record.salt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Decide what a verification attempt does to a stored record.
+// Returns { ok, reason } plus what should happen to the record afterwards.
+const checkRecord = (record, otp) => {
+  if (!record) {
+    return { ok: false, reason: 'not_found' };
+  }
+  if (new Date() > record.expiresAt) {
+    return { ok: false, reason: 'expired', remove: true };
+  }
+  if (record.attempts >= MAX_ATTEMPTS) {
+    return { ok: false, reason: 'too_many_attempts', remove: true };
+  }
+  if (!matches(record, otp)) {
+    return { ok: false, reason: 'invalid', increment: true };
+  }
+  return { ok: true, remove: true };
+};
+
+// In-memory store for local runs. Expired entries are dropped by the
+// auth-store-sweep job (see jobs/).
+const createMemoryOtpStore = () => {
+  const records = new Map();
+  // Keyed like the Firestore store, so "A@x.edu" and "a@x.edu" share a code
+  const keyFor = (email) => email.toLowerCase();
+
+  return {
+    async save(email, otp, { ttlMs = OTP_TTL_MS } = {}) {
+      const record = createRecord(otp, ttlMs);
+      records.set(keyFor(email), record);
+
+      return { expiresAt: record.expiresAt };
+    },
+
+    async verify(email, otp) {
+      const record = records.get(keyFor(email));
+      const result = checkRecord(record, otp);
+
+      if (result.remove) {
+        records.delete(keyFor(email));
+      } else if (result.increment) {
+        record.attempts++;
+      }
+
+      return { ok: result.ok, reason: result.reason };
+    },
+
+    async delete(email) {
+      records.delete(keyFor(email));
+    },
+
+    // Drop codes that expired without being verified; returns how many
+    async purgeExpired() {
+      const now = new Date();
+      let purged = 0;
+      for (const [email, record] of records) {
+        if (record.expiresAt <= now) {
+          records.delete(email);
+          purged++;
+        }
+      }
+      return purged;
+    }
+  };
+};
+
+// Firestore-backed store, shared by every instance of the server.
+// Expired documents are removed when they are next read, and codes that are
+// never verified by the auth-store-sweep job. A Firestore TTL policy on
+// `otps.expiresAt` does the same without the job.
+const createFirestoreOtpStore = ({ collection = OTP_COLLECTION } = {}) => {
+  const docFor = (email) => {
+    const id = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex');
+    return admin.firestore().collection(collection).doc(id);
+  };
+
+  return {
+    async save(email, otp, { ttlMs = OTP_TTL_MS } = {}) {
+      const record = createRecord(otp, ttlMs);
+      await docFor(email).set({
+        ...record,
+        expiresAt: admin.firestore.Timestamp.fromDate(record.expiresAt),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { expiresAt: record.expiresAt };
+    },
+
+    async verify(email, otp) {
+      const otpRef = docFor(email);
+
+      return admin.firestore().runTransaction(async (transaction) => {
+        const otpDoc = await transaction.get(otpRef);
+        const record = otpDoc.exists
+          ? { ...otpDoc.data(), expiresAt: otpDoc.data().expiresAt.toDate() }
+          : null;
+        const result = checkRecord(record, otp);
+
+        if (result.remove) {
+          transaction.delete(otpRef);
+        } else if (result.increment) {
+          transaction.update(otpRef, {
+            attempts: admin.firestore.FieldValue.increment(1)
+          });
+        }
+
+        return { ok: result.ok, reason: result.reason };
+      });
+    },
+
+    async delete(email) {
+      await docFor(email).delete();
+    },
+
+    async purgeExpired({ signal } = {}) {
+      const expired = admin.firestore().collection(collection)
+        .where('expiresAt', '<=', admin.firestore.Timestamp.now());
+      return deleteInBatches(expired, { signal });
+    }
+  };
+};
+
+// Pick a store from the validated OTP_STORE setting ("memory" or
+// "firestore"), which defaults to Firestore in production and memory
+// everywhere else.
+const createOtpStore = (storeType = getConfig().otpStore, options = {}) => {
+  if (storeType === 'firestore') {
+    return createFirestoreOtpStore(options);
+  }
+  if (storeType === 'memory') {
+    return createMemoryOtpStore();
+  }
+  throw new Error(`Unknown OTP_STORE "${storeType}"`);
+};
+
+module.exports = {
+  OTP_TTL_MS,
+  MAX_ATTEMPTS,
+  createOtpStore,
+  createMemoryOtpStore,
+  createFirestoreOtpStore
+};
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { deleteInBatches } = require('./firebase');
+const { getConfig } = require('../config');
+
+const RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute between codes for one email
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000; // daily quotas
+const EMAIL_DAILY_LIMIT = 5;
+const IP_DAILY_LIMIT = 50; // hostel Wi-Fi shares one address
+const FAILURES_BEFORE_LOCK = 5;
+const BASE_LOCK_MS = 15 * 60 * 1000; // doubles with every lockout
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+const THROTTLE_COLLECTION = 'otpThrottle';
+
+const secondsUntil = (time, now) => Math.max(1, Math.ceil((time - now) / 1000));
+
+const inWindow = (record, now) => record.windowStart && now - record.windowStart < QUOTA_WINDOW_MS;
+
+// Every record lives at least as long as its quota window or lockout
+const expiryOf = (record, now) => new Date(Math.max(
+  (record.windowStart || now) + QUOTA_WINDOW_MS,
+  record.lockedUntil || 0
+));
+
+// In-memory backend for local runs. update() is atomic because it never yields.
+// Expired records are dropped by the auth-store-sweep job (see jobs/).
+const createMemoryBackend = () => {
+  const records = new Map();
+
+  // A record past its expiry counts as absent until the sweep removes it
+  const live = (key, now) => {
+    const entry = records.get(key);
+    return entry && entry.expiresAt > now ? entry.record : {};
+  };
+
+  return {
+    async get(key) {
+      return { ...live(key, Date.now()) };
+    },
+
+    async update(key, updater) {
+      const now = Date.now();
+      const { record, result } = updater({ ...live(key, now) }, now);
+
+      records.set(key, { record, expiresAt: expiryOf(record, now).getTime() });
+
+      return result;
+    },
+
+    // Like update(), for several records at once
+    async updateAll(keys, updater) {
+      const now = Date.now();
+      const { records: updated, result } = updater(keys.map(key => ({ ...live(key, now) })), now);
+
+      keys.forEach((key, index) => {
+        records.set(key, { record: updated[index], expiresAt: expiryOf(updated[index], now).getTime() });
+      });
+
+      return result;
+    },
+
+    async purgeExpired() {
+      const now = Date.now();
+      let purged = 0;
+      for (const [key, entry] of records) {
+        if (entry.expiresAt <= now) {
+          records.delete(key);
+          purged++;
+        }
+      }
+      return purged;
+    }
+  };
+};
+
+// Firestore backend so every instance shares the same counters. Old records
+// are purged by the auth-store-sweep job, or by a Firestore TTL policy on
+// `otpThrottle.expiresAt`.
+const createFirestoreBackend = ({ collection = THROTTLE_COLLECTION } = {}) => {
+  const docFor = (key) => {
+    const id = crypto.createHash('sha256').update(key).digest('hex');
+    return admin.firestore().collection(collection).doc(id);
+  };
+
+  return {
+    async get(key) {
+      const doc = await docFor(key).get();
+      const { expiresAt, ...record } = doc.exists ? doc.data() : {};
+      return record;
+    },
+
+    async update(key, updater) {
+      const ref = docFor(key);
+
+      return admin.firestore().runTransaction(async (transaction) => {
+        const now = Date.now();
+        const doc = await transaction.get(ref);
+        const { expiresAt, ...current } = doc.exists ? doc.data() : {};
+        const { record, result } = updater(current, now);
+
+        transaction.set(ref, {
+          ...record,
+          expiresAt: admin.firestore.Timestamp.fromDate(expiryOf(record, now))
+        });
+
+        return result;
+      });
+    },
+
+    // Like update(), for several records in one transaction
+    async updateAll(keys, updater) {
+      const refs = keys.map(docFor);
+
+      return admin.firestore().runTransaction(async (transaction) => {
+        const now = Date.now();
+        const docs = await transaction.getAll(...refs);
+        const current = docs.map(doc => {
+          const { expiresAt, ...record } = doc.exists ? doc.data() : {};
+          return record;
+        });
+        const { records, result } = updater(current, now);
+
+        refs.forEach((ref, index) => transaction.set(ref, {
+          ...records[index],
+          expiresAt: admin.firestore.Timestamp.fromDate(expiryOf(records[index], now))
+        }));
+
+        return result;
+      });
+    },
+
+    async purgeExpired({ signal } = {}) {
+      const expired = admin.firestore().collection(collection)
+        .where('expiresAt', '<=', admin.firestore.Timestamp.now());
+      return deleteInBatches(expired, { signal });
+    }
+  };
+};
+
+const throttleFor = (backend) => {
+  const emailKey = (email) => `email:${email.toLowerCase()}`;
+  const ipKey = (ip) => `ip:${ip}`;
+
+  const lockResult = (record, now) => {
+    if (record.lockedUntil && record.lockedUntil > now) {
+      return { allowed: false, reason: 'locked', retryAfter: secondsUntil(record.lockedUntil, now) };
+    }
+    return null;
+  };
+
+  // Why another code may not be sent from an IP, or null. Starts a new quota
+  // window on the record when the last one has run out.
+  const ipQuotaResult = (record, now) => {
+    if (!inWindow(record, now)) {
+      record.windowStart = now;
+      record.sendCount = 0;
+    }
+
+    if (record.sendCount >= IP_DAILY_LIMIT) {
+      return {
+        allowed: false,
+        reason: 'ip_quota',
+        retryAfter: secondsUntil(record.windowStart + QUOTA_WINDOW_MS, now)
+      };
+    }
+    return null;
+  };
+
+  // Why an email may not be sent another code, or null. Also resets its window.
+  const emailSendResult = (record, now) => {
+    const blocked = lockResult(record, now);
+    if (blocked) {
+      return blocked;
+    }
+
+    if (record.lastSentAt && now - record.lastSentAt < RESEND_COOLDOWN_MS) {
+      return {
+        allowed: false,
+        reason: 'cooldown',
+        retryAfter: secondsUntil(record.lastSentAt + RESEND_COOLDOWN_MS, now)
+      };
+    }
+
+    if (!inWindow(record, now)) {
+      record.windowStart = now;
+      record.sendCount = 0;
+    }
+
+    if (record.sendCount >= EMAIL_DAILY_LIMIT) {
+      return {
+        allowed: false,
+        reason: 'email_quota',
+        retryAfter: secondsUntil(record.windowStart + QUOTA_WINDOW_MS, now)
+      };
+    }
+    return null;
+  };
+
+  return {
+    // Check the per-IP daily quota, then the per-email lockout, cooldown and
+    // daily quota. The send is only counted, against both, when all of them allow it.
+    async consumeSend(email, ip) {
+      return backend.updateAll([ipKey(ip), emailKey(email)], ([ipRecord, emailRecord], now) => {
+        const records = [ipRecord, emailRecord];
+        const blocked = ipQuotaResult(ipRecord, now) || emailSendResult(emailRecord, now);
+        if (blocked) {
+          return { records, result: blocked };
+        }
+
+        ipRecord.sendCount++;
+        emailRecord.sendCount++;
+        emailRecord.lastSentAt = now;
+        return {
+          records,
+          result: { allowed: true, resendAfter: Math.ceil(RESEND_COOLDOWN_MS / 1000) }
+        };
+      });
+    },
+
+    // Is this email currently locked out of verification?
+    async checkLock(email) {
+      const record = await backend.get(emailKey(email));
+      return lockResult(record, Date.now()) || { allowed: true };
+    },
+
+    // Count a failed verification. Every FAILURES_BEFORE_LOCK failures lock the
+    // email for twice as long as the previous lockout.
+    async recordFailure(email) {
+      return backend.update(emailKey(email), (record, now) => {
+        record.failures = (record.failures || 0) + 1;
+
+        if (record.failures < FAILURES_BEFORE_LOCK) {
+          return { record, result: { allowed: true } };
+        }
+
+        const lockMs = Math.min(BASE_LOCK_MS * 2 ** (record.lockLevel || 0), MAX_LOCK_MS);
+        record.failures = 0;
+        record.lockLevel = (record.lockLevel || 0) + 1;
+        record.lockedUntil = now + lockMs;
+
+        return { record, result: lockResult(record, now) };
+      });
+    },
+
+    // A successful verification clears failures and lockout escalation
+    async recordSuccess(email) {
+      return backend.update(emailKey(email), (record) => {
+        record.failures = 0;
+        record.lockLevel = 0;
+        record.lockedUntil = null;
+        return { record, result: { allowed: true } };
+      });
+    },
+
+    // Remove records whose windows and lockouts have all run out
+    async purgeExpired(options) {
+      return backend.purgeExpired(options);
+    }
+  };
+};
+
+// Uses the same OTP_STORE setting as the OTP store itself
+const createOtpThrottle = (storeType = getConfig().otpStore) => {
+  if (storeType === 'firestore') {
+    return throttleFor(createFirestoreBackend());
+  }
+  if (storeType === 'memory') {
+    return throttleFor(createMemoryBackend());
+  }
+  throw new Error(`Unknown OTP_STORE "${storeType}"`);
+};
+
+module.exports = {
+  RESEND_COOLDOWN_MS,
+  EMAIL_DAILY_LIMIT,
+  IP_DAILY_LIMIT,
+  createOtpThrottle,
+  throttleFor,
+  createMemoryBackend,
+  createFirestoreBackend
+};
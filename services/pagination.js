@@ -0,0 +1,137 @@
+// Cursor pagination for list endpoints. Lists are sorted newest first by one
+// field with the document id as tie-breaker, and a cursor encodes that
+// position for the last item of a page. The next page starts strictly after
+// it, so items added in the meantime never shift pages or repeat.
+//
+// Responses look like { items, nextCursor }; nextCursor is null on the last page.
+// Clients ask for that with paging=cursor on the first page and cursor on the
+// ones after. Everyone else, i.e. clients from before cursors existed, still
+// gets a bare array of items, whether they send limit, offset or neither.
+
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { $date: value.getTime() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (!Number.isFinite(value.$date)) {
+      throw new Error('Invalid cursor value');
+    }
+    return new Date(value.$date);
+  }
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  return value;
+};
+
+// Opaque to clients: base64url JSON of { value, id }
+const encodeCursor = ({ value, id }) => {
+  return Buffer.from(JSON.stringify({ v: encodeValue(value), id })).toString('base64url');
+};
+
+// Returns { value, id }, or null for anything that isn't a cursor we issued
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof id !== 'string' || v === undefined) {
+      return null;
+    }
+    return { value: decodeValue(v), id };
+  } catch (error) {
+    return null;
+  }
+};
+
+const compareValues = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let index = 0; index < a.length; index++) {
+      const result = compareValues(a[index], b[index]);
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  }
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left === right) {
+    return 0;
+  }
+  return left < right ? -1 : 1;
+};
+
+// Sort order of two positions in a newest-first list: negative when `a` comes first
+const comparePositions = (a, b) => {
+  return compareValues(b.value, a.value) || compareValues(b.id, a.id);
+};
+
+// Position of an item in a list ordered by `field` (or by a function of the item)
+const positionOf = (item, orderBy) => ({
+  value: typeof orderBy === 'function' ? orderBy(item) : item[orderBy],
+  id: item.id
+});
+
+// Options for a repository list call from validated query params. Fetches one
+// extra item to tell whether there is a next page. `offset` is only used
+// without a cursor and is deprecated.
+const pageOptions = ({ limit, cursor, offset }) => ({
+  limit: limit + 1,
+  ...(cursor ? { after: decodeCursor(cursor) } : { offset })
+});
+
+// Sort and page a list that had to be assembled in memory, e.g. posts merged
+// from several communities
+const pageInMemory = (items, { limit, cursor, offset = 0 }, orderBy) => {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const sorted = [...items].sort((a, b) => comparePositions(positionOf(a, orderBy), positionOf(b, orderBy)));
+  const start = after
+    ? sorted.filter(item => comparePositions(positionOf(item, orderBy), after) > 0)
+    : sorted.slice(offset);
+
+  return toPage(start.slice(0, limit + 1), limit, orderBy);
+};
+
+// Build { items, nextCursor } from up to limit + 1 sorted items
+const toPage = (items, limit, orderBy) => {
+  const pageItems = items.slice(0, limit);
+  const hasMore = items.length > limit;
+
+  return {
+    items: pageItems,
+    nextCursor: hasMore ? encodeCursor(positionOf(pageItems[pageItems.length - 1], orderBy)) : null
+  };
+};
+
+// Whether the request pages the old way, without asking for cursors
+const isLegacyPaging = (req) => !req.query.cursor && req.query.paging !== 'cursor';
+
+// Respond with a page: { items, nextCursor } to clients that send cursor or
+// paging=cursor, the bare array of items to legacy ones. Offset requests are
+// flagged as deprecated.
+const sendPage = (req, res, page) => {
+  if (!isLegacyPaging(req)) {
+    return res.json(page);
+  }
+  if (req.query.offset !== undefined) {
+    res.set('Deprecation', 'true');
+  }
+  res.json(page.items);
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  comparePositions,
+  positionOf,
+  pageOptions,
+  pageInMemory,
+  toPage,
+  sendPage
+};
@@ -0,0 +1,177 @@
+const { getRepositories } = require('../repositories');
+const { getIdentity } = require('./identity');
+
+// Platform roles are stored as the `roles` custom claim on the Firebase user.
+// Users without the claim are students.
+
+const ROLES = ['student', 'faculty', 'moderator', 'superadmin'];
+const DEFAULT_ROLE = 'student';
+
+// What each platform role may do anywhere, regardless of resource ownership
+const ROLE_PERMISSIONS = {
+  student: [],
+  faculty: [],
+  moderator: [
+    'communities:manage',
+    'groups:manage',
+    'content:moderate'
+  ],
+  superadmin: [
+    'communities:manage',
+    'groups:manage',
+    'content:moderate',
+    'roles:manage',
+    'audit:read',
+    'jobs:read',
+    'categories:manage'
+  ]
+};
+
+// Roles within a single community: its owner (the `admin` uid) and the
+// co-moderators in `moderators`, and what each may do there
+const COMMUNITY_ROLE_PERMISSIONS = {
+  owner: [
+    'community:edit',
+    'community:archive',
+    'community:delete',
+    'community:transfer',
+    'community:moderators',
+    'members:approve',
+    'posts:approve',
+    'posts:remove',
+    'posts:pin'
+  ],
+  moderator: [
+    'community:edit',
+    'members:approve',
+    'posts:approve',
+    'posts:remove',
+    'posts:pin'
+  ]
+};
+
+// What a group's admin may do to it. Platform roles with `groups:manage`
+// may do the same in every group.
+const GROUP_ADMIN_PERMISSIONS = [
+  'group:edit',
+  'group:members'
+];
+
+// The platform permission that allows the same in every community
+const COMMUNITY_PLATFORM_PERMISSIONS = {
+  'community:edit': 'communities:manage',
+  'community:archive': 'communities:manage',
+  'community:delete': 'communities:manage',
+  'community:transfer': 'communities:manage',
+  'community:moderators': 'communities:manage',
+  'members:approve': 'communities:manage',
+  'posts:approve': 'content:moderate',
+  'posts:remove': 'content:moderate',
+  'posts:pin': 'content:moderate'
+};
+
+const getRoles = (user) => {
+  const roles = Array.isArray(user?.roles) ? user.roles.filter(role => ROLES.includes(role)) : [];
+  return roles.length > 0 ? roles : [DEFAULT_ROLE];
+};
+
+const hasRole = (user, ...roles) => {
+  return getRoles(user).some(role => roles.includes(role));
+};
+
+const hasPermission = (user, permission) => {
+  return getRoles(user).some(role => ROLE_PERMISSIONS[role].includes(permission));
+};
+
+// "owner", "moderator" or null for the user in a community
+const communityRoleOf = (user, community) => {
+  if (!user || !community) {
+    return null;
+  }
+  if (community.admin === user.uid) {
+    return 'owner';
+  }
+  if (community.moderators?.includes(user.uid)) {
+    return 'moderator';
+  }
+  return null;
+};
+
+// Whether the user may do `permission` (e.g. "posts:pin") in the community,
+// through their role there or a platform role
+const canInCommunity = (user, permission, community) => {
+  if (hasPermission(user, COMMUNITY_PLATFORM_PERMISSIONS[permission])) {
+    return true;
+  }
+
+  const role = communityRoleOf(user, community);
+  return Boolean(role) && COMMUNITY_ROLE_PERMISSIONS[role].includes(permission);
+};
+
+// Followers may post in an open community. In a restricted one only approved
+// members may, besides the owner and moderators.
+const canPostIn = (user, community) => {
+  if (!community.restricted) {
+    return community.followers?.includes(user.uid) || false;
+  }
+  return Boolean(communityRoleOf(user, community)) || community.members?.includes(user.uid) || false;
+};
+
+// Whether the user may do `permission` (e.g. "group:members") in the group,
+// as its admin or through a platform role
+const canInGroup = (user, permission, group) => {
+  if (hasPermission(user, 'groups:manage')) {
+    return true;
+  }
+
+  return Boolean(user && group) && group.admin === user.uid && GROUP_ADMIN_PERMISSIONS.includes(permission);
+};
+
+// Replace a user's roles, keeping their other custom claims and mirroring
+// the roles onto the users/{uid} profile for listing.
+const setRoles = async (uid, roles) => {
+  const userRecord = await getIdentity().getUser(uid);
+  const nextRoles = [...new Set(roles)].filter(role => role !== DEFAULT_ROLE);
+
+  await getIdentity().setCustomUserClaims(uid, {
+    ...userRecord.customClaims,
+    roles: nextRoles
+  });
+
+  await getRepositories().users.merge(uid, { roles: nextRoles });
+
+  return getRoles({ roles: nextRoles });
+};
+
+const getUserRoles = async (uid) => {
+  const userRecord = await getIdentity().getUser(uid);
+  return getRoles(userRecord.customClaims);
+};
+
+const grantRole = async (uid, role) => {
+  const roles = await getUserRoles(uid);
+  return setRoles(uid, [...roles, role]);
+};
+
+const revokeRole = async (uid, role) => {
+  const roles = await getUserRoles(uid);
+  return setRoles(uid, roles.filter(current => current !== role));
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  COMMUNITY_ROLE_PERMISSIONS,
+  GROUP_ADMIN_PERMISSIONS,
+  getRoles,
+  hasRole,
+  hasPermission,
+  communityRoleOf,
+  canInCommunity,
+  canPostIn,
+  canInGroup,
+  getUserRoles,
+  grantRole,
+  revokeRole
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { MemoryStore } = require('express-rate-limit');
+const { deleteInBatches } = require('./firebase');
+const { logger } = require('./logger');
+
+// Hit counters for the rate limiter (middleware/rateLimit.js), in the store
+// interface express-rate-limit expects. The memory store counts per instance;
+// the Firestore one is shared, so a client gets the same budget whichever
+// instance it reaches, at the cost of a transaction per request.
+
+const RATE_LIMIT_COLLECTION = 'rateLimits';
+
+// Longest a request waits on the shared counter before going uncounted
+const STORE_TIMEOUT_MS = 2000;
+
+// Fixed-window counters in Firestore, one document per tier and client.
+// Expired windows are deleted by the rate-limit-sweep job, or by a Firestore
+// TTL policy on `rateLimits.expiresAt`.
+const createFirestoreRateLimitStore = ({ prefix, collection = RATE_LIMIT_COLLECTION }) => {
+  let windowMs;
+
+  const docFor = (key) => {
+    const id = crypto.createHash('sha256').update(`${prefix}:${key}`).digest('hex');
+    return admin.firestore().collection(collection).doc(id);
+  };
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    // Fails open: if Firestore is slow or down the request goes through
+    // uncounted, rather than the whole API failing with it
+    async increment(key) {
+      const ref = docFor(key);
+      let timer;
+
+      const transaction = admin.firestore().runTransaction(async (transaction) => {
+        const now = Date.now();
+        const doc = await transaction.get(ref);
+        const current = doc.exists && doc.data().resetAt.toMillis() > now ? doc.data() : null;
+
+        const totalHits = current ? current.hits + 1 : 1;
+        const resetTime = current ? current.resetAt.toDate() : new Date(now + windowMs);
+        const resetAt = admin.firestore.Timestamp.fromDate(resetTime);
+
+        transaction.set(ref, { hits: totalHits, resetAt, expiresAt: resetAt });
+
+        return { totalHits, resetTime };
+      });
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${STORE_TIMEOUT_MS}ms`)), STORE_TIMEOUT_MS);
+      });
+
+      try {
+        return await Promise.race([transaction, timeout]);
+      } catch (error) {
+        logger.warn('Rate limit store unavailable; request not counted', error, { limiter: prefix });
+        return { totalHits: 1, resetTime: new Date(Date.now() + windowMs) };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    async decrement(key) {
+      try {
+        await docFor(key).update({ hits: admin.firestore.FieldValue.increment(-1) });
+      } catch (error) {
+        // NOT_FOUND: the window has already been purged, nothing to take back
+        if (error.code !== 5) {
+          throw error;
+        }
+      }
+    },
+
+    async resetKey(key) {
+      await docFor(key).delete();
+    }
+  };
+};
+
+// Pick a store from RATE_LIMIT_STORE ("memory" or "firestore"). Each limiter
+// needs its own store; `prefix` keeps their keys apart in a shared one.
+const createRateLimitStore = (type, { prefix }) => {
+  if (type === 'firestore') {
+    return createFirestoreRateLimitStore({ prefix });
+  }
+  if (type === 'memory') {
+    return new MemoryStore();
+  }
+  throw new Error(`Unknown RATE_LIMIT_STORE "${type}"`);
+};
+
+// Delete Firestore windows that have ended; returns how many
+const purgeExpiredRateLimits = ({ signal } = {}) => {
+  const expired = admin.firestore().collection(RATE_LIMIT_COLLECTION)
+    .where('expiresAt', '<=', admin.firestore.Timestamp.now());
+  return deleteInBatches(expired, { signal });
+};
+
+module.exports = {
+  createRateLimitStore,
+  purgeExpiredRateLimits,
+  createFirestoreRateLimitStore
+};
@@ -0,0 +1,17 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context (request id and the request itself) that follows the
+// request through every await, so logs and audit entries written deep inside
+// services still know which request and user they belong to.
+
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, callback) => storage.run(context, callback);
+
+// { requestId, req } inside a request, otherwise null
+const getContext = () => storage.getStore() || null;
+
+module.exports = {
+  runWithContext,
+  getContext
+};
@@ -0,0 +1,95 @@
+const { getRepositories } = require('../repositories');
+
+// Sign-in records live at users/{uid}/sessions/{sessionId}. The session id is
+// carried as a custom claim, so revoking one record ends just that device.
+
+// Short label like "Chrome on Android" from a User-Agent header
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari'],
+    ['okhttp', 'Android app'],
+    ['Expo', 'Mobile app']
+  ].find(([marker]) => userAgent.includes(marker))?.[1];
+
+  const platform = [
+    ['Android', 'Android'],
+    ['iPhone', 'iPhone'],
+    ['iPad', 'iPad'],
+    ['Windows', 'Windows'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([marker]) => userAgent.includes(marker))?.[1];
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+  return browser || platform || 'Unknown device';
+};
+
+const createSession = async (uid, { deviceLabel, ip, userAgent }) => {
+  return getRepositories().sessions.create(uid, {
+    deviceLabel: (deviceLabel || describeDevice(userAgent)).slice(0, 100),
+    ip: ip || null,
+    userAgent: userAgent?.slice(0, 300) || null,
+    revokedAt: null
+  });
+};
+
+const listSessions = async (uid) => {
+  const sessions = await getRepositories().sessions.list(uid);
+  return sessions.filter(session => !session.revokedAt);
+};
+
+const getSession = async (uid, sessionId) => {
+  return getRepositories().sessions.get(uid, sessionId);
+};
+
+const isSessionActive = async (uid, sessionId) => {
+  const session = await getSession(uid, sessionId);
+  return Boolean(session) && !session.revokedAt;
+};
+
+// Remember that this session just passed a two-factor check
+const markStepUp = async (uid, sessionId) => {
+  await getRepositories().sessions.update(uid, sessionId, { stepUpAt: new Date() });
+};
+
+// Returns false when there is no such session
+const revokeSession = async (uid, sessionId) => {
+  const session = await getSession(uid, sessionId);
+
+  if (!session) {
+    return false;
+  }
+
+  if (!session.revokedAt) {
+    await getRepositories().sessions.update(uid, sessionId, { revokedAt: new Date() });
+  }
+  return true;
+};
+
+const revokeAllSessions = async (uid) => {
+  const active = await listSessions(uid);
+  const revokedAt = new Date();
+
+  await Promise.all(active.map(session => {
+    return getRepositories().sessions.update(uid, session.id, { revokedAt });
+  }));
+
+  return active.length;
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  listSessions,
+  getSession,
+  isSessionActive,
+  markStepUp,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('./totp');
+
+// Two-factor settings live in twoFactor/{uid}, a server-only collection that
+// client security rules never expose. Recovery codes are stored hashed.
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+// Codes like "4f7a-9c21-b0e3"
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    return crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-');
+  });
+};
+
+const getTwoFactor = async (uid) => {
+  return getRepositories().twoFactor.get(uid);
+};
+
+const isTwoFactorEnabled = async (uid) => {
+  const settings = await getTwoFactor(uid);
+  return Boolean(settings?.enabled);
+};
+
+// Start (or restart) enrolment with a fresh secret. Not active until confirmed.
+const beginEnrollment = async (uid, email) => {
+  const settings = await getTwoFactor(uid);
+  if (settings?.enabled) {
+    return null;
+  }
+
+  const secret = generateSecret();
+  await getRepositories().twoFactor.set(uid, {
+    secret,
+    enabled: false
+  });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, email)
+  };
+};
+
+// Check a TOTP or recovery code for an enrolled (or enrolling) user.
+// Accepted codes cannot be used again. Returns 'totp', 'recovery' or null.
+const verifySecondFactor = async (uid, code, { allowRecovery = true } = {}) => {
+  return getRepositories().twoFactor.modify(uid, (settings) => {
+    if (!settings || !code) {
+      return { result: null };
+    }
+
+    const step = verifyTotp(settings.secret, code);
+
+    if (step !== null && step > (settings.lastUsedStep ?? -1)) {
+      return { update: { lastUsedStep: step }, result: 'totp' };
+    }
+
+    const codeHash = hashRecoveryCode(String(code));
+    if (allowRecovery && settings.enabled && settings.recoveryCodes?.includes(codeHash)) {
+      return {
+        update: { recoveryCodes: settings.recoveryCodes.filter(hash => hash !== codeHash) },
+        result: 'recovery'
+      };
+    }
+
+    return { result: null };
+  });
+};
+
+// Turn on two-factor once the user proves their app has the secret.
+// Returns the recovery codes, which are only ever shown this once.
+const activate = async (uid, code) => {
+  const settings = await getTwoFactor(uid);
+  if (!settings || settings.enabled) {
+    return null;
+  }
+
+  const method = await verifySecondFactor(uid, code, { allowRecovery: false });
+  if (!method) {
+    return null;
+  }
+
+  return regenerateRecoveryCodes(uid, { enabled: true });
+};
+
+const regenerateRecoveryCodes = async (uid, extra = {}) => {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await getRepositories().twoFactor.update(uid, {
+    ...extra,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode)
+  });
+
+  return recoveryCodes;
+};
+
+const disable = async (uid) => {
+  await getRepositories().twoFactor.delete(uid);
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  getTwoFactor,
+  isTwoFactorEnabled,
+  beginEnrollment,
+  verifySecondFactor,
+  activate,
+  regenerateRecoveryCodes,
+  disable
+};
@@ -0,0 +1,72 @@
+const { getRepositories } = require('../repositories');
+const { getConfig } = require('../config');
+
+// Anna University register numbers: admission year + 3-digit branch code + roll number
+const REG_NO_PATTERN = /^(\d{4})(\d{3})(\d{3})$/;
+
+// Best-effort mapping of CEG branch codes to departments
+const DEPARTMENT_CODES = {
+  '101': 'Civil Engineering',
+  '102': 'Mechanical Engineering',
+  '103': 'Computer Science and Engineering',
+  '104': 'Electrical and Electronics Engineering',
+  '105': 'Electronics and Communication Engineering',
+  '106': 'Geo Informatics',
+  '107': 'Manufacturing Engineering',
+  '108': 'Industrial Engineering',
+  '109': 'Printing Technology',
+  '110': 'Mining Engineering',
+  '111': 'Material Science and Engineering',
+  '112': 'Information Technology'
+};
+
+// Institutional domains allowed to sign up (ALLOWED_EMAIL_DOMAINS)
+const getAllowedDomains = () => getConfig().allowedEmailDomains;
+
+const isAllowedEmail = (email) => {
+  const domain = email.split('@')[1]?.toLowerCase();
+  if (!domain) {
+    return false;
+  }
+
+  return getAllowedDomains().some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+};
+
+// Pull what we can out of a student address like 2021103045@student.annauniv.edu
+const parseStudentEmail = (email) => {
+  const localPart = email.split('@')[0];
+  const match = localPart.match(REG_NO_PATTERN);
+
+  if (!match) {
+    return { regNo: null, department: null, admissionYear: null };
+  }
+
+  return {
+    regNo: localPart,
+    department: DEPARTMENT_CODES[match[2]] || null,
+    admissionYear: parseInt(match[1])
+  };
+};
+
+// Create the users/{uid} profile on first sign-in. Existing profiles are left untouched.
+// Returns true when a new profile was created.
+const ensureUserProfile = async (userRecord) => {
+  const { uid, email } = userRecord;
+  const { regNo, department, admissionYear } = parseStudentEmail(email);
+
+  return getRepositories().users.create(uid, {
+    email,
+    name: userRecord.displayName || email.split('@')[0],
+    regNo,
+    department,
+    admissionYear,
+    photoURL: userRecord.photoURL || null
+  });
+};
+
+module.exports = {
+  getAllowedDomains,
+  isAllowedEmail,
+  parseStudentEmail,
+  ensureUserProfile
+};
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+const { IP_DAILY_LIMIT } = require('../services/otpThrottle');
+
+describe('OTP sign-in', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  const sendOtp = (email, ip = '10.0.0.1') => app.request('POST', '/auth/send-otp', {
+    body: { email },
+    headers: { 'x-forwarded-for': ip }
+  });
+
+  it('signs in with the emailed code and issues a token', async () => {
+    const email = '2021103001@annauniv.edu';
+    const sent = await sendOtp(email);
+    assert.strictEqual(sent.status, 200);
+    assert.match(sent.body.otp, /^\d{6}$/);
+
+    const verified = await app.request('POST', '/auth/verify-otp', { body: { email, otp: sent.body.otp } });
+    assert.strictEqual(verified.status, 200);
+
+    const profile = await app.request('GET', '/users/profile', { token: verified.body.token });
+    assert.strictEqual(profile.status, 200);
+    assert.strictEqual(profile.body.email, email);
+  });
+
+  it('accepts the code whatever the case of the email', async () => {
+    const sent = await sendOtp('2021103002@AnnaUniv.edu');
+    const verified = await app.request('POST', '/auth/verify-otp', {
+      body: { email: '2021103002@annauniv.edu', otp: sent.body.otp }
+    });
+    assert.strictEqual(verified.status, 200);
+  });
+
+  it('rejects a wrong code and accepts nothing after too many attempts', async () => {
+    const email = '2021103003@annauniv.edu';
+    const sent = await sendOtp(email);
+    const wrong = sent.body.otp === '000000' ? '111111' : '000000';
+
+    const invalid = await app.request('POST', '/auth/verify-otp', { body: { email, otp: wrong } });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.error.code, 'OTP_INVALID');
+
+    await app.request('POST', '/auth/verify-otp', { body: { email, otp: wrong } });
+    await app.request('POST', '/auth/verify-otp', { body: { email, otp: wrong } });
+
+    const tooMany = await app.request('POST', '/auth/verify-otp', { body: { email, otp: sent.body.otp } });
+    assert.strictEqual(tooMany.status, 400);
+    assert.strictEqual(tooMany.body.error.code, 'OTP_TOO_MANY_ATTEMPTS');
+  });
+
+  it('refuses college-external addresses', async () => {
+    const sent = await sendOtp('someone@gmail.com');
+    assert.strictEqual(sent.status, 403);
+  });
+
+  it('makes the same email wait before another code is sent', async () => {
+    const email = '2021103004@annauniv.edu';
+    assert.strictEqual((await sendOtp(email)).status, 200);
+
+    const again = await sendOtp(email, '10.0.0.2');
+    assert.strictEqual(again.status, 429);
+    assert.strictEqual(again.body.error.code, 'OTP_THROTTLED');
+    assert.ok(Number(again.headers.get('retry-after')) > 0);
+  });
+
+  it('stops sends from an IP over its daily quota without counting them against the email', async () => {
+    const ip = '10.0.0.3';
+    for (let index = 0; index < IP_DAILY_LIMIT; index++) {
+      assert.strictEqual((await sendOtp(`2021104${String(index).padStart(3, '0')}@annauniv.edu`, ip)).status, 200);
+    }
+
+    const email = '2021103005@annauniv.edu';
+    const blocked = await sendOtp(email, ip);
+    assert.strictEqual(blocked.status, 429);
+    assert.strictEqual(blocked.body.error.code, 'OTP_THROTTLED');
+
+    // The refused send started no cooldown for the email
+    assert.strictEqual((await sendOtp(email, '10.0.0.4')).status, 200);
+  });
+
+  it('rejects requests without a valid token', async () => {
+    const response = await app.request('GET', '/users/profile', { token: 'not-a-token' });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.body.error.code, 'TOKEN_INVALID');
+  });
+});
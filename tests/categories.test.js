@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+const { DEFAULT_CATEGORIES } = require('../services/categories');
+
+describe('Community categories', () => {
+  let app;
+  let student;
+  let superadmin;
+
+  before(async () => {
+    app = await startApp();
+    student = await app.signIn('2021103071@annauniv.edu');
+    superadmin = await app.signIn('2021103072@annauniv.edu', { roles: ['superadmin'] });
+  });
+
+  after(() => app.close());
+
+  const listCategories = async () => {
+    const response = await app.request('GET', '/communities/categories', { token: student });
+    return Object.fromEntries(response.body.categories.map(category => [category.slug, category]));
+  };
+
+  const createCommunity = (category) => app.request('POST', '/communities', {
+    token: student,
+    body: { name: 'Chess Club', description: 'Checkmate', category }
+  });
+
+  it('starts with the default categories, counting their communities', async () => {
+    assert.strictEqual((await createCommunity('sports')).status, 200);
+
+    const categories = await listCategories();
+    assert.deepStrictEqual(Object.keys(categories).sort(), DEFAULT_CATEGORIES.map(({ slug }) => slug).sort());
+    assert.strictEqual(categories.sports.communityCount, 1);
+    assert.strictEqual(categories.arts.communityCount, 0);
+  });
+
+  it('only files communities under managed categories', async () => {
+    const created = await createCommunity('Board games');
+    assert.strictEqual(created.status, 400);
+    assert.strictEqual(created.body.error.code, 'VALIDATION_ERROR');
+    assert.ok(created.body.error.fields['body.category']);
+  });
+
+  it('only filters listings by managed categories', async () => {
+    const filter = (category) => app.request('GET', `/communities?category=${encodeURIComponent(category)}`, {
+      token: student
+    });
+
+    const unknown = await filter('Board games');
+    assert.strictEqual(unknown.status, 400);
+    assert.strictEqual(unknown.body.error.code, 'VALIDATION_ERROR');
+    assert.ok(unknown.body.error.fields['query.category']);
+
+    assert.ok((await filter('sports')).body.every(community => community.category === 'sports'));
+    assert.strictEqual((await filter('All')).status, 200);
+  });
+
+  it('takes the names and aliases older clients send as the category they match', async () => {
+    const categoryOf = async (response) => {
+      assert.strictEqual(response.status, 200);
+      return (await app.request('GET', `/communities/${response.body.id}`, { token: student })).body.category;
+    };
+
+    assert.strictEqual(await categoryOf(await createCommunity('Tech')), 'technical');
+    assert.strictEqual(await categoryOf(await createCommunity('Social service')), 'social-service');
+
+    const listed = await app.request('GET', '/communities?category=Tech', { token: student });
+    assert.strictEqual(listed.status, 200);
+    assert.ok(listed.body.length > 0);
+    assert.ok(listed.body.every(community => community.category === 'technical'));
+  });
+
+  it('lets superadmins add, rename and remove categories', async () => {
+    const url = '/admin/categories';
+
+    const denied = await app.request('POST', url, { token: student, body: { slug: 'quizzing', name: 'Quizzing' } });
+    assert.strictEqual(denied.status, 403);
+
+    const created = await app.request('POST', url, {
+      token: superadmin,
+      body: { slug: 'quizzing', name: 'Quizzing', icon: '❓' }
+    });
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual((await app.request('POST', url, { token: superadmin, body: { slug: 'quizzing', name: 'Quiz' } })).status, 409);
+
+    const renamed = await app.request('PATCH', `${url}/quizzing`, { token: superadmin, body: { name: 'Quiz Club' } });
+    assert.strictEqual(renamed.body.category.name, 'Quiz Club');
+    assert.strictEqual((await listCategories()).quizzing.name, 'Quiz Club');
+
+    assert.strictEqual((await createCommunity('quizzing')).status, 200);
+    const inUse = await app.request('DELETE', `${url}/quizzing`, { token: superadmin });
+    assert.strictEqual(inUse.status, 409);
+
+    assert.strictEqual((await app.request('DELETE', `${url}/arts`, { token: superadmin })).status, 200);
+    assert.ok(!(await listCategories()).arts);
+  });
+});
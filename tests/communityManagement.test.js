@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+describe('Community management', () => {
+  let app;
+  let owner;
+  let student;
+  let platformModerator;
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.signIn('2021103041@annauniv.edu');
+    student = await app.signIn('2021103042@annauniv.edu');
+    platformModerator = await app.signIn('2021103043@annauniv.edu', { roles: ['moderator'] });
+  });
+
+  after(() => app.close());
+
+  const createCommunity = async (name = 'Photography Club') => {
+    const created = await app.request('POST', '/communities', {
+      token: owner,
+      body: { name, description: 'Pictures', category: 'technical' }
+    });
+    assert.strictEqual(created.status, 200);
+    await app.request('POST', `/communities/${created.body.id}/follow`, { token: student });
+    return created.body.id;
+  };
+
+  const listedIds = async () => {
+    const listed = await app.request('GET', '/communities', { token: student });
+    return listed.body.map(community => community.id);
+  };
+
+  it('lets the owner and platform moderators edit, but nobody else', async () => {
+    const communityId = await createCommunity();
+    const url = `/communities/${communityId}`;
+
+    const denied = await app.request('PATCH', url, { token: student, body: { name: 'Mine now' } });
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.body.error.code, 'INSUFFICIENT_PERMISSIONS');
+
+    const edited = await app.request('PATCH', url, { token: owner, body: { description: 'Photos and films' } });
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual(edited.body.community.description, 'Photos and films');
+
+    const moderated = await app.request('PATCH', url, { token: platformModerator, body: { name: 'Photo Club' } });
+    assert.strictEqual(moderated.status, 200);
+    assert.strictEqual((await app.request('GET', url, { token: student })).body.name, 'Photo Club');
+  });
+
+  it('rejects an edit with nothing to change', async () => {
+    const communityId = await createCommunity();
+    const response = await app.request('PATCH', `/communities/${communityId}`, { token: owner, body: {} });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error.code, 'VALIDATION_ERROR');
+  });
+
+  it('hides archived communities from listings and makes them read-only', async () => {
+    const communityId = await createCommunity('Archived Club');
+    const url = `/communities/${communityId}`;
+
+    assert.strictEqual((await app.request('POST', `${url}/archive`, { token: student })).status, 403);
+    assert.strictEqual((await app.request('POST', `${url}/archive`, { token: owner })).status, 200);
+    assert.ok(!(await listedIds()).includes(communityId));
+
+    const posted = await app.request('POST', `${url}/posts`, { token: student, body: { text: 'Anyone here?' } });
+    assert.strictEqual(posted.status, 409);
+    assert.strictEqual(posted.body.error.code, 'COMMUNITY_ARCHIVED');
+
+    const edited = await app.request('PATCH', url, { token: owner, body: { name: 'Back again' } });
+    assert.strictEqual(edited.status, 409);
+
+    assert.strictEqual((await app.request('POST', `${url}/unarchive`, { token: owner })).status, 200);
+    assert.ok((await listedIds()).includes(communityId));
+    assert.strictEqual((await app.request('POST', `${url}/posts`, { token: student, body: { text: 'Back' } })).status, 200);
+  });
+
+  it('deletes a community for its owner only', async () => {
+    const communityId = await createCommunity('Short-lived Club');
+    const url = `/communities/${communityId}`;
+
+    assert.strictEqual((await app.request('DELETE', url, { token: student })).status, 403);
+    assert.strictEqual((await app.request('DELETE', url, { token: owner })).status, 200);
+    assert.strictEqual((await app.request('GET', url, { token: owner })).status, 404);
+  });
+});
@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, ConfigError } = require('../config');
+
+describe('Configuration', () => {
+  const load = (env) => loadConfig({ DATA_STORE: 'memory', ...env });
+
+  it('defaults the sign-up domains and OTP store for local runs', () => {
+    const config = load({});
+    assert.deepStrictEqual(config.allowedEmailDomains, ['annauniv.edu']);
+    assert.strictEqual(config.otpStore, 'memory');
+  });
+
+  it('reads the allowed sign-up domains as a lowercase list', () => {
+    const config = load({ ALLOWED_EMAIL_DOMAINS: 'annauniv.edu, Student.AnnaUniv.edu,' });
+    assert.deepStrictEqual(config.allowedEmailDomains, ['annauniv.edu', 'student.annauniv.edu']);
+  });
+
+  it('refuses to start with bad sign-up domains or OTP store', () => {
+    assert.throws(() => load({ ALLOWED_EMAIL_DOMAINS: '@annauniv.edu' }), ConfigError);
+    assert.throws(() => load({ ALLOWED_EMAIL_DOMAINS: ' , ' }), /at least one domain/);
+    assert.throws(() => load({ OTP_STORE: 'redis' }), /OTP_STORE must be one of/);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+describe('Group administration', () => {
+  let app;
+  let admin;
+  let member;
+  let moderator;
+  let groupId;
+
+  before(async () => {
+    app = await startApp();
+    admin = await app.signIn('2021103081@annauniv.edu');
+    member = await app.signIn('2021103082@annauniv.edu');
+    moderator = await app.signIn('2021103083@annauniv.edu', { roles: ['moderator'] });
+
+    const created = await app.request('POST', '/groups', {
+      token: admin,
+      body: { name: 'Robotics', description: 'Weekend builds' }
+    });
+    groupId = created.body.id;
+    await app.request('POST', `/groups/${groupId}/join`, { token: member });
+  });
+
+  after(() => app.close());
+
+  const edit = (token, body) => app.request('PATCH', `/groups/${groupId}`, { token, body });
+  const removeMember = (token, uid) => app.request('DELETE', `/groups/${groupId}/members/${uid}`, { token });
+
+  it('lets the admin and platform moderators edit a group, and no one else', async () => {
+    const denied = await edit(member, { name: 'Mine now' });
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.body.error.code, 'INSUFFICIENT_PERMISSIONS');
+
+    assert.strictEqual((await edit(admin, { description: 'Weekday builds' })).status, 200);
+
+    const moderated = await edit(moderator, { name: 'Robotics Club' });
+    assert.strictEqual(moderated.status, 200);
+    assert.strictEqual(moderated.body.group.name, 'Robotics Club');
+    assert.strictEqual(moderated.body.group.description, 'Weekday builds');
+  });
+
+  it('lets platform moderators remove members, but never the admin', async () => {
+    const memberUid = await app.uidOf('2021103082@annauniv.edu');
+    const adminUid = await app.uidOf('2021103081@annauniv.edu');
+
+    assert.strictEqual((await removeMember(member, adminUid)).status, 403);
+    assert.strictEqual((await removeMember(moderator, adminUid)).status, 400);
+
+    assert.strictEqual((await removeMember(moderator, memberUid)).status, 200);
+    const group = await app.request('GET', `/groups/${groupId}`, { token: admin });
+    assert.deepStrictEqual(group.body.members, [adminUid]);
+
+    assert.strictEqual((await removeMember(admin, memberUid)).status, 404);
+  });
+});
@@ -0,0 +1,72 @@
+// Boot the API in-process with every store in memory, and drive it over HTTP.
+// node --test runs each test file in its own process, so every file starts
+// with empty stores.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.DATA_STORE = 'memory';
+process.env.DEMO_MODE = 'true';
+process.env.LOG_LEVEL = 'error';
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ceg-connect-outbox-'));
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+
+const { getConfig } = require('../config');
+
+// Routers read the validated config when they load
+getConfig();
+
+const { createApp } = require('../app');
+const { getIdentity } = require('../services/identity');
+
+// Start the app on a free port. Returns a client bound to it; close() when done.
+const startApp = async () => {
+  const server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  // { status, headers, body } with the body parsed as JSON
+  const request = async (method, url, { token, body, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  // Sign in with an emailed code (returned in the response in DEMO_MODE).
+  // `roles` are set as the user's platform roles first.
+  const signIn = async (email, { roles } = {}) => {
+    if (roles) {
+      const identity = getIdentity();
+      const user = (await identity.findUserByEmail(email)) || (await identity.createUser({ email }));
+      await identity.setCustomUserClaims(user.uid, { roles });
+    }
+
+    const sent = await request('POST', '/auth/send-otp', { body: { email } });
+    const verified = await request('POST', '/auth/verify-otp', { body: { email, otp: sent.body.otp } });
+    if (verified.status !== 200) {
+      throw new Error(`Sign-in failed for ${email}: ${JSON.stringify(verified.body)}`);
+    }
+    return verified.body.token;
+  };
+
+  const uidOf = async (email) => (await getIdentity().findUserByEmail(email)).uid;
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, request, signIn, uidOf, close };
+};
+
+module.exports = { startApp };
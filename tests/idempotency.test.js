@@ -0,0 +1,160 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+const { getRepositories } = require('../repositories');
+const { createMemoryRepositories } = require('../repositories/memory');
+const { IDEMPOTENCY_TTL_MS, IDEMPOTENCY_LEASE_MS } = require('../middleware/idempotency');
+
+describe('Idempotency-Key', () => {
+  let app;
+  let token;
+
+  before(async () => {
+    app = await startApp();
+    token = await app.signIn('2021103021@annauniv.edu');
+  });
+
+  after(() => app.close());
+
+  const createGroup = (key, body, as = token) => app.request('POST', '/groups', {
+    token: as,
+    body,
+    headers: key ? { 'idempotency-key': key } : {}
+  });
+
+  const groupCount = async () => (await app.request('GET', '/groups', { token })).body.length;
+
+  it('replays the first response for a retry and creates nothing more', async () => {
+    const body = { name: 'Study group', description: 'Weekly' };
+    const first = await createGroup('create-study-group', body);
+    assert.strictEqual(first.status, 200);
+    const count = await groupCount();
+
+    const retry = await createGroup('create-study-group', body);
+    assert.strictEqual(retry.status, 200);
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepStrictEqual(retry.body, first.body);
+    assert.strictEqual(await groupCount(), count);
+  });
+
+  it('refuses the same key for a different request', async () => {
+    await createGroup('reused-key', { name: 'One', description: 'First' });
+    const reused = await createGroup('reused-key', { name: 'Two', description: 'Second' });
+
+    assert.strictEqual(reused.status, 422);
+    assert.strictEqual(reused.body.error.code, 'IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('keeps keys apart between users', async () => {
+    const other = await app.signIn('2021103022@annauniv.edu');
+    const body = { name: 'Shared key', description: 'Same key, two users' };
+
+    const mine = await createGroup('shared-key', body);
+    const theirs = await createGroup('shared-key', body, other);
+
+    assert.strictEqual(theirs.status, 200);
+    assert.strictEqual(theirs.headers.get('idempotent-replayed'), null);
+    assert.notStrictEqual(theirs.body.id, mine.body.id);
+  });
+
+  it('creates again without a key', async () => {
+    const body = { name: 'No key', description: 'Twice' };
+    const first = await createGroup(null, body);
+    const second = await createGroup(null, body);
+
+    assert.notStrictEqual(first.body.id, second.body.id);
+  });
+
+  it('replays the response to a request whose client went away', async () => {
+    const { groups } = getRepositories();
+    const create = groups.create;
+    let started;
+    let release;
+    const creating = new Promise(resolve => {
+      started = resolve;
+    });
+    const held = new Promise(resolve => {
+      release = resolve;
+    });
+    // Hold the first create until the client has gone
+    groups.create = async (data) => {
+      groups.create = create;
+      started();
+      await held;
+      return create.call(groups, data);
+    };
+
+    try {
+      const body = { name: 'Dropped', description: 'Client hung up' };
+      const count = await groupCount();
+
+      const aborted = new AbortController();
+      const dropped = fetch(`${app.baseUrl}/groups`, {
+        method: 'POST',
+        signal: aborted.signal,
+        headers: { 'content-type': 'application/json', authorization: `Bearer ${token}`, 'idempotency-key': 'dropped' },
+        body: JSON.stringify(body)
+      }).catch(error => error);
+
+      await creating;
+      aborted.abort();
+      assert.strictEqual((await dropped).name, 'AbortError');
+
+      // Still running: the key stays taken
+      const early = await createGroup('dropped', body);
+      assert.strictEqual(early.status, 409);
+      assert.strictEqual(early.body.error.code, 'IDEMPOTENCY_KEY_IN_USE');
+
+      release();
+      let retry;
+      do {
+        retry = await createGroup('dropped', body);
+      } while (retry.status === 409);
+
+      assert.strictEqual(retry.status, 200);
+      assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+      assert.strictEqual(await groupCount(), count + 1);
+    } finally {
+      groups.create = create;
+    }
+  });
+
+  it('rejects malformed keys', async () => {
+    const response = await createGroup('bad key', { name: 'Bad', description: 'Key' });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error.code, 'INVALID_IDEMPOTENCY_KEY');
+  });
+});
+
+describe('Idempotency claims', () => {
+  afterEach(() => mock.timers.reset());
+
+  const pending = () => ({
+    fingerprint: 'body',
+    state: 'pending',
+    pendingUntil: new Date(Date.now() + IDEMPOTENCY_LEASE_MS),
+    expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_MS)
+  });
+
+  it('lets a retry take over a pending claim once its lease runs out', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { idempotencyKeys } = createMemoryRepositories();
+
+    assert.strictEqual(await idempotencyKeys.claim('key', pending()), null);
+    assert.strictEqual((await idempotencyKeys.claim('key', pending())).state, 'pending');
+
+    mock.timers.tick(IDEMPOTENCY_LEASE_MS + 1);
+    assert.strictEqual(await idempotencyKeys.claim('key', pending()), null);
+  });
+
+  it('keeps completed responses for the whole key lifetime', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { idempotencyKeys } = createMemoryRepositories();
+
+    await idempotencyKeys.claim('key', pending());
+    await idempotencyKeys.update('key', { state: 'completed', status: 200, body: '{}' });
+
+    mock.timers.tick(IDEMPOTENCY_LEASE_MS + 1);
+    assert.strictEqual((await idempotencyKeys.claim('key', pending())).state, 'completed');
+  });
+});
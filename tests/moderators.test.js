@@ -0,0 +1,156 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+describe('Community moderators', () => {
+  let app;
+  let owner;
+  let moderator;
+  let follower;
+  let platformModerator;
+  let moderatorUid;
+  let followerUid;
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.signIn('2021103031@annauniv.edu');
+    moderator = await app.signIn('2021103032@annauniv.edu');
+    follower = await app.signIn('2021103033@annauniv.edu');
+    platformModerator = await app.signIn('2021103034@annauniv.edu', { roles: ['moderator'] });
+    moderatorUid = await app.uidOf('2021103032@annauniv.edu');
+    followerUid = await app.uidOf('2021103033@annauniv.edu');
+  });
+
+  after(() => app.close());
+
+  // A community owned by `owner`, followed by `moderator` (who moderates it)
+  // and `follower`
+  const createCommunity = async (body = {}) => {
+    const created = await app.request('POST', '/communities', {
+      token: owner,
+      body: { name: 'Robotics Club', description: 'Bots', category: 'technical', ...body }
+    });
+    assert.strictEqual(created.status, 200);
+    const communityId = created.body.id;
+
+    await app.request('POST', `/communities/${communityId}/follow`, { token: moderator });
+    await app.request('POST', `/communities/${communityId}/follow`, { token: follower });
+
+    const invited = await app.request('POST', `/communities/${communityId}/moderators`, {
+      token: owner,
+      body: { uid: moderatorUid }
+    });
+    assert.strictEqual(invited.status, 200);
+    const accepted = await app.request('POST', `/communities/${communityId}/moderators/accept`, { token: moderator });
+    assert.strictEqual(accepted.status, 200);
+
+    return communityId;
+  };
+
+  const createPost = (communityId, token, text = 'Hello robots') => {
+    return app.request('POST', `/communities/${communityId}/posts`, { token, body: { text } });
+  };
+
+  it('only invites followers, and only once', async () => {
+    const communityId = await createCommunity();
+    const url = `/communities/${communityId}/moderators`;
+    const outsider = await app.signIn('2021103035@annauniv.edu');
+
+    await app.request('POST', url, { token: owner, body: { uid: followerUid } });
+    const twice = await app.request('POST', url, { token: owner, body: { uid: followerUid } });
+    assert.strictEqual(twice.status, 409);
+
+    const notFollowing = await app.request('POST', url, {
+      token: owner,
+      body: { uid: await app.uidOf('2021103035@annauniv.edu') }
+    });
+    assert.strictEqual(notFollowing.status, 400);
+
+    assert.strictEqual((await app.request('POST', `${url}/accept`, { token: outsider })).status, 404);
+  });
+
+  it('lets community moderators pin and remove posts, but not followers', async () => {
+    const communityId = await createCommunity();
+    const post = await createPost(communityId, follower);
+    const other = await createPost(communityId, owner, 'From the owner');
+    const postUrl = `/communities/${communityId}/posts/${post.body.id}`;
+
+    const followerPin = await app.request('POST', `/communities/${communityId}/posts/${other.body.id}/pin`, {
+      token: follower
+    });
+    assert.strictEqual(followerPin.status, 403);
+    assert.strictEqual(followerPin.body.error.code, 'INSUFFICIENT_PERMISSIONS');
+
+    const followerRemove = await app.request('DELETE', `/communities/${communityId}/posts/${other.body.id}`, {
+      token: follower
+    });
+    assert.strictEqual(followerRemove.status, 403);
+
+    const pinned = await app.request('POST', `${postUrl}/pin`, { token: moderator });
+    assert.strictEqual(pinned.status, 200);
+    assert.strictEqual(pinned.body.pinned, true);
+
+    const removed = await app.request('DELETE', postUrl, { token: moderator });
+    assert.strictEqual(removed.status, 200);
+  });
+
+  it('keeps owner-only actions from community moderators', async () => {
+    const communityId = await createCommunity();
+
+    const deleted = await app.request('DELETE', `/communities/${communityId}`, { token: moderator });
+    assert.strictEqual(deleted.status, 403);
+
+    const invited = await app.request('POST', `/communities/${communityId}/moderators`, {
+      token: moderator,
+      body: { uid: followerUid }
+    });
+    assert.strictEqual(invited.status, 403);
+
+    const archived = await app.request('POST', `/communities/${communityId}/archive`, { token: moderator });
+    assert.strictEqual(archived.status, 403);
+  });
+
+  it('lets platform moderators act in any community', async () => {
+    const communityId = await createCommunity();
+    const post = await createPost(communityId, follower);
+
+    const removed = await app.request('DELETE', `/communities/${communityId}/posts/${post.body.id}`, {
+      token: platformModerator
+    });
+    assert.strictEqual(removed.status, 200);
+
+    const archived = await app.request('POST', `/communities/${communityId}/archive`, { token: platformModerator });
+    assert.strictEqual(archived.status, 200);
+  });
+
+  it('lets moderators step down and the owner remove them', async () => {
+    const communityId = await createCommunity();
+    const url = `/communities/${communityId}/moderators/${moderatorUid}`;
+
+    assert.strictEqual((await app.request('DELETE', url, { token: follower })).status, 403);
+    assert.strictEqual((await app.request('DELETE', url, { token: moderator })).status, 200);
+    assert.strictEqual((await app.request('DELETE', url, { token: owner })).status, 404);
+
+    const pin = await createPost(communityId, owner);
+    const pinned = await app.request('POST', `/communities/${communityId}/posts/${pin.body.id}/pin`, {
+      token: moderator
+    });
+    assert.strictEqual(pinned.status, 403);
+  });
+
+  it('hands ownership to a moderator, who keeps the old owner as a moderator', async () => {
+    const communityId = await createCommunity();
+    const url = `/communities/${communityId}/transfer`;
+
+    assert.strictEqual((await app.request('POST', url, { token: moderator, body: { uid: moderatorUid } })).status, 403);
+    assert.strictEqual((await app.request('POST', url, { token: owner, body: { uid: followerUid } })).status, 400);
+
+    const transferred = await app.request('POST', url, { token: owner, body: { uid: moderatorUid } });
+    assert.strictEqual(transferred.status, 200);
+    assert.strictEqual(transferred.body.community.admin, moderatorUid);
+    assert.strictEqual(transferred.body.community.role, 'moderator');
+
+    assert.strictEqual((await app.request('DELETE', `/communities/${communityId}`, { token: owner })).status, 403);
+    assert.strictEqual((await app.request('DELETE', `/communities/${communityId}`, { token: moderator })).status, 200);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createMemoryOtpStore, OTP_TTL_MS, MAX_ATTEMPTS } = require('../services/otpStore');
+
+describe('In-memory OTP store', () => {
+  const email = '2021103001@annauniv.edu';
+
+  afterEach(() => mock.timers.reset());
+
+  it('accepts a saved code once', async () => {
+    const store = createMemoryOtpStore();
+    await store.save(email, '123456');
+
+    assert.deepStrictEqual(await store.verify(email, '123456'), { ok: true, reason: undefined });
+    assert.deepStrictEqual(await store.verify(email, '123456'), { ok: false, reason: 'not_found' });
+  });
+
+  it('treats differently cased emails as the same address', async () => {
+    const store = createMemoryOtpStore();
+    await store.save('2021103001@AnnaUniv.edu', '123456');
+
+    assert.strictEqual((await store.verify(email, '123456')).ok, true);
+  });
+
+  it('replaces the previous code when a new one is saved', async () => {
+    const store = createMemoryOtpStore();
+    await store.save(email, '111111');
+    await store.save(email, '222222');
+
+    assert.strictEqual((await store.verify(email, '111111')).reason, 'invalid');
+    assert.strictEqual((await store.verify(email, '222222')).ok, true);
+  });
+
+  it('gives up on a code after too many wrong attempts', async () => {
+    const store = createMemoryOtpStore();
+    await store.save(email, '123456');
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      assert.strictEqual((await store.verify(email, '000000')).reason, 'invalid');
+    }
+    assert.strictEqual((await store.verify(email, '123456')).reason, 'too_many_attempts');
+  });
+
+  it('does not accept a code after it expires', async () => {
+    mock.timers.enable({ apis: ['Date', 'setTimeout'] });
+    const store = createMemoryOtpStore();
+    await store.save(email, '123456');
+
+    mock.timers.tick(OTP_TTL_MS + 1);
+
+    assert.strictEqual((await store.verify(email, '123456')).ok, false);
+  });
+});
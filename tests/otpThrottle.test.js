@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const {
+  RESEND_COOLDOWN_MS,
+  EMAIL_DAILY_LIMIT,
+  IP_DAILY_LIMIT,
+  throttleFor,
+  createMemoryBackend
+} = require('../services/otpThrottle');
+
+describe('OTP throttle', () => {
+  const email = '2021103001@annauniv.edu';
+  let throttle;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    throttle = throttleFor(createMemoryBackend());
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  it('makes an email wait between codes', async () => {
+    assert.strictEqual((await throttle.consumeSend(email, '10.0.0.1')).allowed, true);
+
+    const again = await throttle.consumeSend(email, '10.0.0.1');
+    assert.strictEqual(again.allowed, false);
+    assert.strictEqual(again.reason, 'cooldown');
+    assert.strictEqual(again.retryAfter, RESEND_COOLDOWN_MS / 1000);
+
+    mock.timers.tick(RESEND_COOLDOWN_MS);
+    assert.strictEqual((await throttle.consumeSend(email, '10.0.0.1')).allowed, true);
+  });
+
+  it('caps the codes sent to an email each day', async () => {
+    for (let send = 0; send < EMAIL_DAILY_LIMIT; send++) {
+      assert.strictEqual((await throttle.consumeSend(email, '10.0.0.1')).allowed, true);
+      mock.timers.tick(RESEND_COOLDOWN_MS);
+    }
+
+    const over = await throttle.consumeSend(email, '10.0.0.1');
+    assert.strictEqual(over.allowed, false);
+    assert.strictEqual(over.reason, 'email_quota');
+  });
+
+  it('caps the codes sent from an IP each day', async () => {
+    for (let send = 0; send < IP_DAILY_LIMIT; send++) {
+      assert.strictEqual((await throttle.consumeSend(`user${send}@annauniv.edu`, '10.0.0.1')).allowed, true);
+    }
+
+    assert.strictEqual((await throttle.consumeSend(email, '10.0.0.1')).reason, 'ip_quota');
+    assert.strictEqual((await throttle.consumeSend(email, '10.0.0.2')).allowed, true);
+  });
+
+  it('checks the IP first and counts nothing when a limit refuses the send', async () => {
+    for (let send = 0; send < IP_DAILY_LIMIT; send++) {
+      await throttle.consumeSend(`user${send}@annauniv.edu`, '10.0.0.1');
+    }
+
+    // Refused by the IP quota: the email starts no cooldown
+    assert.strictEqual((await throttle.consumeSend(email, '10.0.0.1')).reason, 'ip_quota');
+    assert.strictEqual((await throttle.consumeSend(email, '10.0.0.2')).allowed, true);
+
+    // Refused by the email cooldown: the IP is not charged
+    assert.strictEqual((await throttle.consumeSend(email, '10.0.0.3')).reason, 'cooldown');
+    for (let send = 0; send < IP_DAILY_LIMIT; send++) {
+      assert.strictEqual((await throttle.consumeSend(`other${send}@annauniv.edu`, '10.0.0.3')).allowed, true);
+    }
+  });
+
+  it('locks an email after repeated failures, for longer each time', async () => {
+    const lockFor = async () => {
+      let result;
+      do {
+        result = await throttle.recordFailure(email);
+      } while (result.allowed);
+      return result.retryAfter;
+    };
+
+    const first = await lockFor();
+    assert.strictEqual((await throttle.checkLock(email)).reason, 'locked');
+    assert.strictEqual((await throttle.consumeSend(email, '10.0.0.1')).reason, 'locked');
+
+    mock.timers.tick(first * 1000);
+    assert.strictEqual((await throttle.checkLock(email)).allowed, true);
+
+    assert.strictEqual(await lockFor(), first * 2);
+  });
+
+  it('clears failures after a successful sign-in', async () => {
+    await throttle.recordFailure(email);
+    await throttle.recordFailure(email);
+    await throttle.recordSuccess(email);
+
+    // Four more would have locked it had the first two still counted
+    for (let failure = 0; failure < 4; failure++) {
+      assert.strictEqual((await throttle.recordFailure(email)).allowed, true);
+    }
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+describe('Pagination', () => {
+  let app;
+  let token;
+  const names = ['First', 'Second', 'Third', 'Fourth', 'Fifth'];
+
+  before(async () => {
+    app = await startApp();
+    token = await app.signIn('2021103011@annauniv.edu');
+
+    for (const name of names) {
+      const created = await app.request('POST', '/communities', {
+        token,
+        body: { name, description: 'For paging', category: 'technical' }
+      });
+      assert.strictEqual(created.status, 200);
+    }
+  });
+
+  after(() => app.close());
+
+  const list = (query = '') => app.request('GET', `/communities${query}`, { token });
+
+  it('returns a bare array when no paging is asked for', async () => {
+    const response = await list();
+    assert.strictEqual(response.status, 200);
+    assert.ok(Array.isArray(response.body));
+    assert.strictEqual(response.body.length, names.length);
+  });
+
+  it('keeps the array for limit and offset paging, on every page', async () => {
+    const first = await list('?limit=2');
+    assert.deepStrictEqual(first.body.map(community => community.name), ['Fifth', 'Fourth']);
+    assert.strictEqual(first.headers.get('deprecation'), null);
+
+    const second = await list('?limit=2&offset=2');
+    assert.deepStrictEqual(second.body.map(community => community.name), ['Third', 'Second']);
+    assert.strictEqual(second.headers.get('deprecation'), 'true');
+  });
+
+  it('walks every item exactly once with cursors, newest first', async () => {
+    const seen = [];
+    let page = await list('?limit=2&paging=cursor');
+
+    for (;;) {
+      assert.strictEqual(page.status, 200);
+      assert.ok(page.body.items.length <= 2);
+      seen.push(...page.body.items.map(community => community.name));
+
+      if (!page.body.nextCursor) {
+        break;
+      }
+      page = await list(`?limit=2&cursor=${encodeURIComponent(page.body.nextCursor)}`);
+    }
+
+    assert.deepStrictEqual(seen, [...names].reverse());
+  });
+
+  it('rejects unknown paging styles', async () => {
+    const response = await list('?paging=offset');
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.error.fields['query.paging']);
+  });
+
+  it('rejects a malformed cursor', async () => {
+    const response = await list('?cursor=not-a-cursor');
+    assert.strictEqual(response.status, 400);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { requireRole } = require('../middleware/auth');
+const { canInGroup } = require('../services/permissions');
+
+describe('requireRole', () => {
+  const run = (middleware, user) => {
+    const res = {
+      status(status) {
+        this.statusCode = status;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    let passed = false;
+    middleware({ user }, res, () => {
+      passed = true;
+    });
+    return { passed, res };
+  };
+
+  it('lets through users holding one of the roles', () => {
+    const guard = requireRole('faculty', 'superadmin');
+
+    assert.strictEqual(run(guard, { uid: 'a', roles: ['faculty'] }).passed, true);
+    assert.deepStrictEqual(guard.roles, ['faculty', 'superadmin']);
+
+    const { passed, res } = run(guard, { uid: 'b' });
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.error.code, 'INSUFFICIENT_PERMISSIONS');
+  });
+});
+
+describe('canInGroup', () => {
+  const group = { id: 'g', admin: 'owner', members: ['owner', 'member'] };
+
+  it('allows the group admin and holders of groups:manage', () => {
+    assert.strictEqual(canInGroup({ uid: 'owner' }, 'group:members', group), true);
+    assert.strictEqual(canInGroup({ uid: 'mod', roles: ['moderator'] }, 'group:members', group), true);
+    assert.strictEqual(canInGroup({ uid: 'member' }, 'group:members', group), false);
+    assert.strictEqual(canInGroup({ uid: 'owner' }, 'roles:manage', group), false);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+describe('Post approval', () => {
+  let app;
+  let owner;
+  let follower;
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.signIn('2021103061@annauniv.edu');
+    follower = await app.signIn('2021103062@annauniv.edu');
+  });
+
+  after(() => app.close());
+
+  // A community that holds followers' posts for approval
+  const createCommunity = async () => {
+    const created = await app.request('POST', '/communities', {
+      token: owner,
+      body: { name: 'Notices', description: 'Official', category: 'technical', requiresApproval: true }
+    });
+    assert.strictEqual(created.status, 200);
+    await app.request('POST', `/communities/${created.body.id}/follow`, { token: follower });
+    return created.body.id;
+  };
+
+  const createPost = (communityId, token, text = 'Lab closed on Friday') => {
+    return app.request('POST', `/communities/${communityId}/posts`, { token, body: { text } });
+  };
+
+  const publishedIds = async (communityId) => {
+    const published = await app.request('GET', `/communities/${communityId}/posts`, { token: follower });
+    return published.body.map(post => post.id);
+  };
+
+  it('holds followers\' posts and publishes moderators\' straight away', async () => {
+    const communityId = await createCommunity();
+
+    const held = await createPost(communityId, follower);
+    assert.strictEqual(held.body.status, 'pending');
+    assert.ok(!(await publishedIds(communityId)).includes(held.body.id));
+
+    const own = await createPost(communityId, owner);
+    assert.strictEqual(own.body.status, 'published');
+    assert.ok((await publishedIds(communityId)).includes(own.body.id));
+  });
+
+  it('publishes a held post once approved, with the moderator\'s edits', async () => {
+    const communityId = await createCommunity();
+    const held = await createPost(communityId, follower);
+    const pendingUrl = `/communities/${communityId}/pending-posts`;
+
+    assert.strictEqual((await app.request('GET', pendingUrl, { token: follower })).status, 403);
+    const pending = await app.request('GET', pendingUrl, { token: owner });
+    assert.deepStrictEqual(pending.body.map(post => post.id), [held.body.id]);
+
+    const approveUrl = `${pendingUrl}/${held.body.id}/approve`;
+    assert.strictEqual((await app.request('POST', approveUrl, { token: follower, body: {} })).status, 403);
+
+    const approved = await app.request('POST', approveUrl, { token: owner, body: { text: 'Lab closed on Friday 5th' } });
+    assert.strictEqual(approved.status, 200);
+
+    const post = await app.request('GET', `/communities/${communityId}/posts`, { token: follower });
+    const published = post.body.find(item => item.id === approved.body.id);
+    assert.strictEqual(published.text, 'Lab closed on Friday 5th');
+    assert.strictEqual((await app.request('GET', pendingUrl, { token: owner })).body.length, 0);
+  });
+
+  it('drops a rejected post', async () => {
+    const communityId = await createCommunity();
+    const held = await createPost(communityId, follower);
+    const rejectUrl = `/communities/${communityId}/pending-posts/${held.body.id}/reject`;
+
+    assert.strictEqual((await app.request('POST', rejectUrl, { token: owner, body: {} })).status, 400);
+    const rejected = await app.request('POST', rejectUrl, { token: owner, body: { reason: 'Duplicate' } });
+    assert.strictEqual(rejected.status, 200);
+
+    assert.strictEqual((await publishedIds(communityId)).length, 0);
+    assert.strictEqual((await app.request('POST', rejectUrl, { token: owner, body: { reason: 'Again' } })).status, 404);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+describe('Restricted communities', () => {
+  let app;
+  let owner;
+  let student;
+  let studentUid;
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.signIn('2021103051@annauniv.edu');
+    student = await app.signIn('2021103052@annauniv.edu');
+    studentUid = await app.uidOf('2021103052@annauniv.edu');
+  });
+
+  after(() => app.close());
+
+  // A restricted community owned by `owner` that `student` follows
+  const createCommunity = async () => {
+    const created = await app.request('POST', '/communities', {
+      token: owner,
+      body: { name: 'Final Years', description: 'Batch of 2025', category: 'technical', restricted: true }
+    });
+    assert.strictEqual(created.status, 200);
+    await app.request('POST', `/communities/${created.body.id}/follow`, { token: student });
+    return created.body.id;
+  };
+
+  const post = (communityId, token) => {
+    return app.request('POST', `/communities/${communityId}/posts`, { token, body: { text: 'Hello batch' } });
+  };
+
+  it('lets only approved members post', async () => {
+    const communityId = await createCommunity();
+
+    const refused = await post(communityId, student);
+    assert.strictEqual(refused.status, 403);
+    assert.strictEqual(refused.body.error.code, 'MEMBERSHIP_REQUIRED');
+
+    assert.strictEqual((await post(communityId, owner)).status, 200);
+  });
+
+  it('lets only approved members comment', async () => {
+    const communityId = await createCommunity();
+    const { body } = await post(communityId, owner);
+    const comment = (token) => app.request('POST', `/posts/${body.id}/comments`, {
+      token,
+      body: { communityId, text: 'Welcome' }
+    });
+
+    const refused = await comment(student);
+    assert.strictEqual(refused.status, 403);
+    assert.strictEqual(refused.body.error.code, 'MEMBERSHIP_REQUIRED');
+
+    assert.strictEqual((await comment(owner)).status, 200);
+  });
+
+  it('queues join requests for moderators to approve', async () => {
+    const communityId = await createCommunity();
+    const url = `/communities/${communityId}/join-requests`;
+
+    assert.strictEqual((await app.request('POST', url, { token: student, body: { message: 'CSE 2021' } })).status, 200);
+    assert.strictEqual((await app.request('POST', url, { token: student, body: {} })).status, 409);
+
+    assert.strictEqual((await app.request('GET', url, { token: student })).status, 403);
+    const pending = await app.request('GET', url, { token: owner });
+    assert.deepStrictEqual(pending.body.map(request => request.uid), [studentUid]);
+
+    assert.strictEqual((await app.request('POST', `${url}/${studentUid}/approve`, { token: student })).status, 403);
+    assert.strictEqual((await app.request('POST', `${url}/${studentUid}/approve`, { token: owner })).status, 200);
+
+    assert.strictEqual((await post(communityId, student)).status, 200);
+    assert.strictEqual((await app.request('POST', url, { token: student, body: {} })).status, 409);
+  });
+
+  it('turns down join requests', async () => {
+    const communityId = await createCommunity();
+    const url = `/communities/${communityId}/join-requests`;
+
+    await app.request('POST', url, { token: student, body: {} });
+    const rejected = await app.request('POST', `${url}/${studentUid}/reject`, {
+      token: owner,
+      body: { reason: 'Final years only' }
+    });
+    assert.strictEqual(rejected.status, 200);
+
+    assert.strictEqual((await post(communityId, student)).status, 403);
+    assert.strictEqual((await app.request('POST', `${url}/${studentUid}/approve`, { token: owner })).status, 404);
+  });
+
+  it('has no join requests for open communities', async () => {
+    const created = await app.request('POST', '/communities', {
+      token: owner,
+      body: { name: 'Open Club', description: 'Everyone', category: 'technical' }
+    });
+    const response = await app.request('POST', `/communities/${created.body.id}/join-requests`, {
+      token: student,
+      body: {}
+    });
+    assert.strictEqual(response.status, 400);
+  });
+});
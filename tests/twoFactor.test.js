@@ -0,0 +1,117 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+const { codeForStep, currentStep } = require('../services/totp');
+const { RESEND_COOLDOWN_MS } = require('../services/otpThrottle');
+
+describe('Two-factor codes from signed-in users', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  // Sign in and turn on two-factor. Returns the token and the app's secret.
+  const enrol = async (email) => {
+    const token = await app.signIn(email);
+    const { body } = await app.request('POST', '/auth/2fa/enroll', { token });
+    const activated = await app.request('POST', '/auth/2fa/activate', {
+      token,
+      body: { code: codeForStep(body.secret, currentStep()) }
+    });
+    assert.strictEqual(activated.status, 200);
+    return { token, secret: body.secret };
+  };
+
+  for (const [path, purpose] of [
+    ['/auth/2fa/step-up', 'step-up'],
+    ['/auth/2fa/recovery-codes', 'new recovery codes'],
+    ['/auth/2fa/disable', 'disabling']
+  ]) {
+    it(`locks out guesses at the code for ${purpose}`, async () => {
+      const { token, secret } = await enrol(`2fa-${path.split('/').pop()}@annauniv.edu`);
+      const submit = (code) => app.request('POST', path, { token, body: { code } });
+
+      for (let attempt = 0; attempt < 4; attempt++) {
+        assert.strictEqual((await submit('000000')).body.error.code, 'INVALID_CODE');
+      }
+      const locked = await submit('000000');
+      assert.strictEqual(locked.status, 429);
+      assert.strictEqual(locked.body.error.code, 'ACCOUNT_LOCKED');
+
+      // Even the right code waits out the lock
+      const right = await submit(codeForStep(secret, currentStep() + 1));
+      assert.strictEqual(right.status, 429);
+    });
+  }
+
+  it('starts counting again after a right code', async () => {
+    const { token, secret } = await enrol('2fa-reset@annauniv.edu');
+    const stepUp = (code) => app.request('POST', '/auth/2fa/step-up', { token, body: { code } });
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await stepUp('000000');
+    }
+    assert.strictEqual((await stepUp(codeForStep(secret, currentStep() + 1))).status, 200);
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      assert.strictEqual((await stepUp('000000')).status, 400);
+    }
+  });
+});
+
+describe('Two-factor sign-in', () => {
+  let app;
+  let secret;
+  let recoveryCodes;
+  const email = '2fa-signin@annauniv.edu';
+
+  before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    app = await startApp();
+    const token = await app.signIn(email);
+    ({ secret } = (await app.request('POST', '/auth/2fa/enroll', { token })).body);
+    ({ recoveryCodes } = (await app.request('POST', '/auth/2fa/activate', {
+      token,
+      body: { code: codeForStep(secret, currentStep()) }
+    })).body);
+  });
+
+  after(async () => {
+    await app.close();
+    mock.timers.reset();
+  });
+
+  // The first sign-in step, which hands back an mfaToken
+  const challenge = async () => {
+    mock.timers.tick(RESEND_COOLDOWN_MS);
+    const sent = await app.request('POST', '/auth/send-otp', { body: { email } });
+    const verified = await app.request('POST', '/auth/verify-otp', { body: { email, otp: sent.body.otp } });
+    assert.strictEqual(verified.body.mfaRequired, true);
+    return verified.body.mfaToken;
+  };
+
+  const verify = (mfaToken, code) => app.request('POST', '/auth/2fa/verify', { body: { mfaToken, code } });
+
+  it('keeps the challenge after a mistyped code', async () => {
+    const mfaToken = await challenge();
+
+    assert.strictEqual((await verify(mfaToken, '000000')).body.error.code, 'INVALID_CODE');
+    const verified = await verify(mfaToken, codeForStep(secret, currentStep() + 1));
+    assert.strictEqual(verified.status, 200);
+    assert.ok(verified.body.token);
+  });
+
+  it('does not spend a recovery code on a used challenge', async () => {
+    const mfaToken = await challenge();
+    assert.strictEqual((await verify(mfaToken, recoveryCodes[0])).status, 200);
+
+    const replayed = await verify(mfaToken, recoveryCodes[1]);
+    assert.strictEqual(replayed.status, 400);
+    assert.strictEqual(replayed.body.error.code, 'MFA_CHALLENGE_INVALID');
+
+    assert.strictEqual((await verify(await challenge(), recoveryCodes[1])).status, 200);
+  });
+});